@@ -0,0 +1,34 @@
+// OpenID Connect settings, read from the environment.
+// Returns null when SSO is not configured.
+const getOidcConfig = () => {
+  if (!process.env.OIDC_ISSUER || !process.env.OIDC_CLIENT_ID) {
+    return null;
+  }
+
+  let roleMapping = {};
+  if (process.env.OIDC_ROLE_MAPPING) {
+    try {
+      // e.g. {"fitness-admins":"admin","trainers":"coach"}
+      roleMapping = JSON.parse(process.env.OIDC_ROLE_MAPPING);
+    } catch (error) {
+      console.error(`Invalid OIDC_ROLE_MAPPING: ${error.message}`);
+    }
+  }
+
+  return {
+    issuer: process.env.OIDC_ISSUER.replace(/\/+$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI,
+    scopes: process.env.OIDC_SCOPES || 'openid email profile',
+    // Create local accounts on first SSO login when no account can be linked
+    jitProvisioning: process.env.OIDC_JIT_PROVISIONING === 'true',
+    roleClaim: process.env.OIDC_ROLE_CLAIM || 'groups',
+    roleMapping,
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || 'user',
+    // Re-apply the role mapping on every login, not only at provisioning
+    syncRoles: process.env.OIDC_SYNC_ROLES === 'true'
+  };
+};
+
+export default getOidcConfig;
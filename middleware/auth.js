@@ -1,5 +1,98 @@
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Settings from '../models/Settings.js';
+import ApiKey, { API_KEY_PREFIX } from '../models/ApiKey.js';
+import CoachAssignment from '../models/CoachAssignment.js';
+import Impersonation from '../models/Impersonation.js';
+import { hashToken } from '../utils/tokens.js';
+import { recordAuditEvent } from '../services/audit.js';
+
+// Methods an impersonating admin may use without write access
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Authenticate a request made with a personal API key
+const authenticateApiKey = async (rawKey, req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(rawKey) });
+
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  const user = await User.findById(apiKey.userId);
+
+  if (!user || !user.isActive || user.deletedAt) {
+    return res.status(401).json({
+      success: false,
+      message: 'User account is deactivated'
+    });
+  }
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() });
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Authenticate a request made by an admin impersonating a user.
+// Every request is audited, and writes are refused unless explicitly allowed.
+const authenticateImpersonation = async (decoded, req, res, next) => {
+  const impersonation = await Impersonation.findById(decoded.imp);
+
+  if (!impersonation || !impersonation.isActive() || !impersonation.userId.equals(decoded.id)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Impersonation has ended or expired'
+    });
+  }
+
+  const impersonator = await User.findById(impersonation.adminId);
+  const user = await User.findById(impersonation.userId);
+
+  const usable = (account) => account && account.isActive && !account.deletedAt;
+
+  if (!usable(impersonator) || impersonator.role !== 'admin' || !usable(user)) {
+    return res.status(401).json({
+      success: false,
+      message: 'Impersonation is no longer valid'
+    });
+  }
+
+  const blocked = !impersonation.allowWrites && !READ_ONLY_METHODS.includes(req.method);
+
+  await Impersonation.updateOne(
+    { _id: impersonation._id },
+    { $inc: { requestCount: 1 }, lastUsedAt: new Date() }
+  );
+  await recordAuditEvent(req, 'admin.impersonation.request', {
+    actor: impersonator,
+    target: user,
+    metadata: {
+      impersonationId: impersonation._id,
+      method: req.method,
+      path: req.originalUrl,
+      blocked
+    }
+  });
+
+  if (blocked) {
+    return res.status(403).json({
+      success: false,
+      message: 'Impersonation is read-only'
+    });
+  }
+
+  req.user = user;
+  req.impersonator = impersonator;
+  req.impersonation = impersonation;
+  next();
+};
 
 export const protect = async (req, res, next) => {
   try {
@@ -10,6 +103,12 @@ export const protect = async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
     }
 
+    // API keys can be sent as a Bearer token or in the X-API-Key header
+    const rawApiKey = req.headers['x-api-key'] || (token?.startsWith(API_KEY_PREFIX) ? token : null);
+    if (rawApiKey) {
+      return await authenticateApiKey(rawApiKey, req, res, next);
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -21,6 +120,10 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      if (decoded.purpose === 'impersonation') {
+        return await authenticateImpersonation(decoded, req, res, next);
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id);
 
@@ -38,7 +141,25 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      if (user.deletedAt) {
+        return res.status(401).json({
+          success: false,
+          message: 'User account has been deleted'
+        });
+      }
+
+      // Access tokens are tied to a session so they can be revoked server-side
+      const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+      if (!session || !session.isActive() || !session.userId.equals(user._id)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked'
+        });
+      }
+
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -51,20 +172,187 @@ export const protect = async (req, res, next) => {
   }
 };
 
-export const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
+// Require the API key (if any) to carry a scope - user logins have full access
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey || req.apiKey.hasScope(scope)) {
+    return next();
+  }
+  res.status(403).json({
+    success: false,
+    message: `API key is missing the required scope: ${scope}`
+  });
+};
+
+// Reject API keys and impersonation on routes that manage the account itself
+export const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route requires a user login and cannot be used with an API key'
+    });
+  }
+  if (req.impersonation) {
+    return res.status(403).json({
+      success: false,
+      message: 'This route cannot be used while impersonating a user'
+    });
+  }
+  next();
+};
+
+// Let a coach act on an assigned client's data with ?asUser=<clientId>.
+// The caller is kept on req.actor and req.user becomes the client.
+export const delegate = async (req, res, next) => {
+  try {
+    const { asUser } = req.query;
+
+    if (!asUser || asUser === req.user._id.toString()) {
+      return next();
+    }
+
+    if (!mongoose.isValidObjectId(asUser)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid asUser id'
+      });
+    }
+
+    if (req.user.role !== 'coach') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only coaches can access another user\'s data'
+      });
+    }
+
+    const assignment = await CoachAssignment.findOne({
+      coachId: req.user._id,
+      clientId: asUser
+    });
+
+    const kind = req.method === 'GET' ? 'read' : 'write';
+
+    if (!assignment || !assignment.allows(kind)) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have ${kind} access to this client`
+      });
+    }
+
+    const client = await User.findById(asUser);
+
+    if (!client || !client.isActive || client.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    req.actor = req.user;
+    req.user = client;
+    req.delegation = { coachId: assignment.coachId, access: assignment.access };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const coach = (req, res, next) => {
+  if (req.user && ['coach', 'admin'].includes(req.user.role)) {
     next();
   } else {
     res.status(403).json({
       success: false,
-      message: 'Admin access required'
+      message: 'Coach access required'
     });
   }
 };
 
-// Generate JWT Token
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+export const admin = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Admin access required'
+      });
+    }
+
+    // Admins without 2FA are locked out of admin routes when it is required
+    const settings = await Settings.getSettings();
+    if (settings.isTwoFactorRequired(req.user.role) && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication must be enabled for admin access'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Scheduled jobs send CRON_SECRET as a bearer token (Vercel Cron does this
+// automatically). Without the variable set the routes stay closed.
+export const cronAuth = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  const matches = secret && token && crypto.timingSafeEqual(
+    Buffer.from(hashToken(token)),
+    Buffer.from(hashToken(secret))
+  );
+
+  if (!matches) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized to run scheduled jobs'
+    });
+  }
+
+  next();
+};
+
+// Generate short-lived JWT access token bound to a session
+export const generateToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Generate short-lived challenge token for the second login step
+export const generateTwoFactorChallenge = (id) => {
+  return jwt.sign({ id, purpose: '2fa_challenge' }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
   });
 };
+
+// Verify a challenge token, returning the user id or null
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_challenge' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Generate short-lived token that lets an admin act as another user
+export const generateImpersonationToken = (impersonation) => {
+  const expiresIn = Math.max(1, Math.floor((impersonation.expiresAt - Date.now()) / 1000));
+  return jwt.sign(
+    { id: impersonation.userId, imp: impersonation._id, purpose: 'impersonation' },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
+// Verify an impersonation token, returning the impersonation id or null
+export const verifyImpersonationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'impersonation' ? decoded.imp : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+export const ANNOUNCEMENT_AUDIENCES = ['all', 'role', 'planStatus'];
+export const ANNOUNCEMENT_ROLES = ['user', 'coach', 'admin'];
+// 'none' targets users without any plan
+export const ANNOUNCEMENT_PLAN_STATUSES = ['active', 'paused', 'completed', 'none'];
+
+const announcementSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  body: {
+    type: String,
+    required: [true, 'Body is required'],
+    trim: true,
+    maxlength: [5000, 'Body cannot exceed 5000 characters']
+  },
+  // Who sees it: everyone, users with one of `roles`, or users whose latest
+  // plan has one of `planStatuses`
+  audience: {
+    type: String,
+    enum: ANNOUNCEMENT_AUDIENCES,
+    default: 'all'
+  },
+  roles: [{
+    type: String,
+    enum: ANNOUNCEMENT_ROLES
+  }],
+  planStatuses: [{
+    type: String,
+    enum: ANNOUNCEMENT_PLAN_STATUSES
+  }],
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Open-ended when null
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+announcementSchema.index({ startsAt: -1, endsAt: 1 });
+
+// Targeted audiences need at least one role or plan status
+announcementSchema.pre('validate', function(next) {
+  if (this.audience === 'role' && this.roles.length === 0) {
+    this.invalidate('roles', 'Please provide at least one role to target');
+  }
+  if (this.audience === 'planStatus' && this.planStatuses.length === 0) {
+    this.invalidate('planStatuses', 'Please provide at least one plan status to target');
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End date must be after start date');
+  }
+  next();
+});
+
+// Query for announcements live at `now` that target a user with the given
+// role and latest plan status ('none' without a plan)
+announcementSchema.statics.visibleTo = function({ role, planStatus }, now = new Date()) {
+  return this.find({
+    startsAt: { $lte: now },
+    $and: [
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      {
+        $or: [
+          { audience: 'all' },
+          { audience: 'role', roles: role },
+          { audience: 'planStatus', planStatuses: planStatus }
+        ]
+      }
+    ]
+  });
+};
+
+const Announcement = mongoose.model('Announcement', announcementSchema);
+
+export default Announcement;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One document per user per announcement they have read
+const announcementReadSchema = new mongoose.Schema({
+  announcementId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Announcement',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for efficient queries
+announcementReadSchema.index({ userId: 1, announcementId: 1 }, { unique: true });
+announcementReadSchema.index({ announcementId: 1 });
+
+const AnnouncementRead = mongoose.model('AnnouncementRead', announcementReadSchema);
+
+export default AnnouncementRead;
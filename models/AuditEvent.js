@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Security-relevant actions we record
+export const AUDIT_ACTIONS = [
+  'auth.login.success',
+  'auth.login.failure',
+  'auth.password.change',
+  'auth.password.reset',
+  'admin.user.create',
+  'admin.user.password_reset',
+  'admin.user.unlock',
+  'admin.user.role_change',
+  'admin.user.active_change',
+  'admin.user.delete',
+  'admin.user.bulk_create',
+  'admin.user.restore',
+  'admin.user.purge',
+  'admin.impersonation.start',
+  'admin.impersonation.request',
+  'admin.impersonation.end',
+  'user.erasure.request',
+  'user.erasure.cancel',
+  'user.erasure.complete',
+  'plan.delete'
+];
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: AUDIT_ACTIONS
+  },
+  // Who performed the action (null for anonymous, e.g. failed logins)
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorEmail: {
+    type: String
+  },
+  // What the action was performed on
+  targetType: {
+    type: String
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+auditEventSchema.index({ targetId: 1, createdAt: -1 });
+
+// Append-only: block every kind of update or delete
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditEventSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectMutation);
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+export default AuditEvent;
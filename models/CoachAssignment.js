@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Links a coach to a client they are allowed to see (and optionally edit)
+const coachAssignmentSchema = new mongoose.Schema({
+  coachId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  access: {
+    type: String,
+    enum: ['read', 'write'],
+    default: 'read'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One assignment per coach/client pair
+coachAssignmentSchema.index({ coachId: 1, clientId: 1 }, { unique: true });
+coachAssignmentSchema.index({ clientId: 1 });
+
+// Check if assignment allows the given kind of access
+coachAssignmentSchema.methods.allows = function(kind) {
+  return kind === 'read' || this.access === 'write';
+};
+
+const CoachAssignment = mongoose.model('CoachAssignment', coachAssignmentSchema);
+
+export default CoachAssignment;
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+// Account erasure, scheduled after a grace period so it can be cancelled
+const erasureRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['hard', 'anonymize'],
+    default: 'hard'
+  },
+  source: {
+    type: String,
+    enum: ['self', 'admin'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Counts of what was removed or anonymized
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+erasureRequestSchema.index({ status: 1, scheduledFor: 1 });
+// Only one open request per user
+erasureRequestSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'processing'] } } }
+);
+
+const ErasureRequest = mongoose.model('ErasureRequest', erasureRequestSchema);
+
+export default ErasureRequest;
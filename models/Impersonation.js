@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const impersonationSchema = new mongoose.Schema({
+  // Admin who is viewing the app as another user
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User being impersonated
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Impersonation is read-only unless writes were explicitly allowed
+  allowWrites: {
+    type: Boolean,
+    default: false
+  },
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  endedReason: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+impersonationSchema.index({ adminId: 1, endedAt: 1 });
+impersonationSchema.index({ userId: 1, createdAt: -1 });
+
+// Check if impersonation token can still be used
+impersonationSchema.methods.isActive = function() {
+  return !this.endedAt && this.expiresAt > new Date();
+};
+
+const Impersonation = mongoose.model('Impersonation', impersonationSchema);
+
+export default Impersonation;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// Pending SSO login - holds the PKCE verifier and nonce between redirect and callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the secret given to the browser that started the login
+  bindingHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+oidcLoginStateSchema.index({ state: 1 }, { unique: true });
+// Let MongoDB purge abandoned logins
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcLoginState = mongoose.model('OidcLoginState', oidcLoginStateSchema);
+
+export default OidcLoginState;
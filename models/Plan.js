@@ -5,7 +5,8 @@ const mealItemSchema = new mongoose.Schema({
   quantity: { type: String, required: true }
 }, { _id: false });
 
-const mealSchema = new mongoose.Schema({
+// Shared with plan templates
+export const mealSchema = new mongoose.Schema({
   time: {
     type: String,
     required: true,
@@ -14,6 +15,112 @@ const mealSchema = new mongoose.Schema({
   items: [mealItemSchema]
 }, { _id: false });
 
+export const PHASE_TYPES = ['cut', 'maintenance', 'bulk', 'recovery', 'custom'];
+
+// A named block of weeks with its own diet and goals. Values left unset fall
+// back to the plan's own dietPlan and goals.
+export const phaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Phase name is required'],
+    trim: true,
+    maxlength: [50, 'Phase name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: PHASE_TYPES,
+    default: 'custom'
+  },
+  startWeek: {
+    type: Number,
+    required: [true, 'Phase start week is required'],
+    min: [1, 'Week must be at least 1'],
+    max: [52, 'Week cannot exceed 52']
+  },
+  endWeek: {
+    type: Number,
+    required: [true, 'Phase end week is required'],
+    min: [1, 'Week must be at least 1'],
+    max: [52, 'Week cannot exceed 52']
+  },
+  dietPlan: {
+    meals: { type: [mealSchema], default: undefined },
+    totalCalories: { type: Number, min: 0 },
+    macros: {
+      carbs: { type: Number, min: 0 },
+      protein: { type: Number, min: 0 },
+      fats: { type: Number, min: 0 }
+    }
+  },
+  goals: {
+    targetWeight: { type: Number },
+    dailyStepsGoal: { type: Number, min: 0 },
+    weeklyWorkoutGoal: { type: Number, min: 0 }
+  }
+}, { _id: false });
+
+// Phases are kept in week order and must not overlap or go beyond the plan
+export function validatePhases(next) {
+  const phases = this.phases || [];
+  phases.sort((a, b) => a.startWeek - b.startWeek);
+
+  const names = phases.map(phase => phase.name);
+
+  if (new Set(names).size !== names.length) {
+    this.invalidate('phases', 'Phase names must be unique');
+  } else if (phases.some(phase => phase.endWeek < phase.startWeek)) {
+    this.invalidate('phases', 'A phase cannot end before it starts');
+  } else if (phases.some(phase => phase.endWeek > this.numberOfWeeks)) {
+    this.invalidate('phases', 'Phases cannot go beyond the number of weeks');
+  } else if (phases.some((phase, i) => i > 0 && phase.startWeek <= phases[i - 1].endWeek)) {
+    this.invalidate('phases', 'Phases cannot overlap');
+  }
+  next();
+}
+
+// Copy the values that are set over `base`
+const mergeDefined = (base = {}, overrides = {}) => {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value != null) merged[key] = value;
+  });
+  return merged;
+};
+
+// Targets from `week` until the next scheduled week or the end of its phase;
+// unset values carry over from earlier weeks, then from the phase and the
+// plan's goals and diet
+export const weeklyTargetSchema = new mongoose.Schema({
+  week: {
+    type: Number,
+    required: [true, 'Week is required'],
+    min: [1, 'Week must be at least 1'],
+    max: [52, 'Week cannot exceed 52']
+  },
+  dailyStepsGoal: { type: Number, min: 0 },
+  weeklyWorkoutGoal: { type: Number, min: 0 },
+  calories: { type: Number, min: 0 },
+  macros: {
+    carbs: { type: Number, min: 0 },
+    protein: { type: Number, min: 0 },
+    fats: { type: Number, min: 0 }
+  },
+  // Weight to reach by the end of the week
+  checkpointWeight: { type: Number }
+}, { _id: false });
+
+// Scheduled weeks must be unique and fall within the plan (or template)
+export function validateWeeklyTargets(next) {
+  const weeks = (this.weeklyTargets || []).map(target => target.week);
+
+  if (new Set(weeks).size !== weeks.length) {
+    this.invalidate('weeklyTargets', 'Each week can only be scheduled once');
+  } else if (weeks.some(week => week > this.numberOfWeeks)) {
+    this.invalidate('weeklyTargets', 'Weekly targets cannot go beyond the number of weeks');
+  }
+  next();
+}
+
 const planSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -60,29 +167,155 @@ const planSchema = new mongoose.Schema({
     targetWeight: { type: Number },
     dailyStepsGoal: { type: Number, default: 10000 },
     weeklyWorkoutGoal: { type: Number, default: 4 }
+  },
+  phases: [phaseSchema],
+  weeklyTargets: [weeklyTargetSchema],
+  // Where the plan came from, when it was not built from scratch
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PlanTemplate',
+    default: null
+  },
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// Calculate current week based on start date
-planSchema.methods.calculateCurrentWeek = function() {
-  if (this.status === 'paused') {
-    return this.currentWeek;
-  }
+// Index for looking up a user's latest plan
+planSchema.index({ userId: 1, createdAt: -1 });
+
+planSchema.pre('validate', validatePhases);
+planSchema.pre('validate', validateWeeklyTargets);
 
-  const now = new Date();
+// Week number since the start date, not capped at the plan length - goes
+// past numberOfWeeks once the plan has run out
+planSchema.methods.calculateElapsedWeek = function(now = new Date()) {
   const start = new Date(this.startDate);
   const diffTime = now - start - (this.pausedDays * 24 * 60 * 60 * 1000);
   const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-  const week = Math.floor(diffDays / 7) + 1;
+  return Math.floor(diffDays / 7) + 1;
+};
+
+// Calculate current week based on start date (or the week containing `now`),
+// within 1..numberOfWeeks
+planSchema.methods.calculateCurrentWeek = function(now = new Date()) {
+  if (this.status === 'paused') {
+    return this.currentWeek;
+  }
 
-  return Math.min(Math.max(week, 1), this.numberOfWeeks);
+  return Math.min(Math.max(this.calculateElapsedWeek(now), 1), this.numberOfWeeks);
 };
 
-// Check if plan is completed
-planSchema.methods.isCompleted = function() {
-  return this.calculateCurrentWeek() > this.numberOfWeeks;
+// Aggregation equivalent of calculateCurrentWeek. `prefix` is the path of the
+// plan in the pipeline document, e.g. 'plan.' - keep the two in sync.
+planSchema.statics.currentWeekExpression = function(prefix = '', now = new Date()) {
+  const field = (name) => `$${prefix}${name}`;
+  const dayMs = 24 * 60 * 60 * 1000;
+  const elapsedDays = {
+    $floor: {
+      $divide: [
+        {
+          $subtract: [
+            { $subtract: [now, field('startDate')] },
+            { $multiply: [{ $ifNull: [field('pausedDays'), 0] }, dayMs] }
+          ]
+        },
+        dayMs
+      ]
+    }
+  };
+  const week = { $add: [{ $floor: { $divide: [elapsedDays, 7] } }, 1] };
+
+  return {
+    $cond: [
+      { $eq: [field('status'), 'paused'] },
+      field('currentWeek'),
+      { $min: [{ $max: [week, 1] }, field('numberOfWeeks')] }
+    ]
+  };
+};
+
+// The phase containing a week of a plan, template or revision snapshot, with
+// its diet and goals filled in from the plan. Null outside of any phase.
+planSchema.statics.resolvePhase = function({ dietPlan = {}, goals = {}, phases = [] }, week) {
+  const phase = phases.find(({ startWeek, endWeek }) => week >= startWeek && week <= endWeek);
+
+  if (!phase) {
+    return null;
+  }
+
+  return {
+    name: phase.name,
+    type: phase.type,
+    startWeek: phase.startWeek,
+    endWeek: phase.endWeek,
+    dietPlan: {
+      ...mergeDefined(dietPlan, { meals: phase.dietPlan?.meals, totalCalories: phase.dietPlan?.totalCalories }),
+      macros: mergeDefined(dietPlan.macros, phase.dietPlan?.macros)
+    },
+    goals: mergeDefined(goals, phase.goals)
+  };
+};
+
+// Resolve the targets for a week from a plan, template or revision snapshot
+planSchema.statics.resolveWeekTargets = function(snapshot, week) {
+  const phase = this.resolvePhase(snapshot, week);
+  const { dietPlan = {}, goals = {} } = phase || snapshot;
+  const { weeklyTargets = [] } = snapshot;
+
+  const targets = {
+    dailyStepsGoal: goals.dailyStepsGoal ?? 10000,
+    weeklyWorkoutGoal: goals.weeklyWorkoutGoal ?? 4,
+    calories: dietPlan.totalCalories ?? 0,
+    macros: {
+      carbs: dietPlan.macros?.carbs ?? 0,
+      protein: dietPlan.macros?.protein ?? 0,
+      fats: dietPlan.macros?.fats ?? 0
+    },
+    checkpointWeight: null
+  };
+
+  // A new phase starts from its own targets
+  const inSamePhase = (targetWeek) => (phase
+    ? targetWeek >= phase.startWeek
+    : !this.resolvePhase(snapshot, targetWeek));
+
+  weeklyTargets
+    .filter(target => target.week <= week && inSamePhase(target.week))
+    .sort((a, b) => a.week - b.week)
+    .forEach(target => {
+      ['dailyStepsGoal', 'weeklyWorkoutGoal', 'calories', 'checkpointWeight'].forEach(field => {
+        if (target[field] != null) targets[field] = target[field];
+      });
+      Object.keys(targets.macros).forEach(macro => {
+        if (target.macros?.[macro] != null) targets.macros[macro] = target.macros[macro];
+      });
+    });
+
+  return { week, phase: phase?.name ?? null, ...targets, targetWeight: goals.targetWeight ?? null };
+};
+
+// Phase for a week of this plan (default: the current week)
+planSchema.methods.getPhase = function(week = this.calculateCurrentWeek()) {
+  return this.constructor.resolvePhase(this.toObject(), week);
+};
+
+// Targets for a week of this plan (default: the current week)
+planSchema.methods.getWeekTargets = function(week = this.calculateCurrentWeek()) {
+  return this.constructor.resolveWeekTargets(this.toObject(), week);
+};
+
+// Check if plan has run past its last week (paused plans never do)
+planSchema.methods.isCompleted = function(now = new Date()) {
+  if (this.status === 'paused') {
+    return false;
+  }
+
+  return this.calculateElapsedWeek(now) > this.numberOfWeeks;
 };
 
 // Virtual for end date
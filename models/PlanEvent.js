@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+export const PLAN_EVENT_TYPES = ['paused', 'resumed', 'completed'];
+
+// What caused the change: a user request, the scheduled lifecycle job or the CLI
+export const PLAN_EVENT_TRIGGERS = ['user', 'job', 'cli'];
+
+const planEventSchema = new mongoose.Schema({
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: PLAN_EVENT_TYPES,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: PLAN_EVENT_TRIGGERS,
+    required: true
+  },
+  // Null for the job and CLI
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+planEventSchema.index({ planId: 1, occurredAt: -1 });
+planEventSchema.index({ userId: 1 });
+
+const PlanEvent = mongoose.model('PlanEvent', planEventSchema);
+
+export default PlanEvent;
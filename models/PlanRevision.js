@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { mealSchema, phaseSchema, weeklyTargetSchema } from './Plan.js';
+
+// Snapshot of a plan's diet, goals, phases and weekly targets from `effectiveFrom` until the next revision
+const planRevisionSchema = new mongoose.Schema({
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Plan',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  dietPlan: {
+    meals: [mealSchema],
+    totalCalories: { type: Number, default: 0 },
+    macros: {
+      carbs: { type: Number, default: 0 },
+      protein: { type: Number, default: 0 },
+      fats: { type: Number, default: 0 }
+    }
+  },
+  goals: {
+    targetWeight: { type: Number },
+    dailyStepsGoal: { type: Number, default: 10000 },
+    weeklyWorkoutGoal: { type: Number, default: 4 }
+  },
+  phases: [phaseSchema],
+  weeklyTargets: [weeklyTargetSchema],
+  // Top-level fields that differ from the previous revision
+  changedFields: [{
+    type: String,
+    enum: ['dietPlan', 'goals', 'phases', 'weeklyTargets']
+  }],
+  // Null for the baseline recorded before the first change
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+planRevisionSchema.index({ planId: 1, revision: 1 }, { unique: true });
+planRevisionSchema.index({ planId: 1, effectiveFrom: 1 });
+planRevisionSchema.index({ userId: 1 });
+
+const PlanRevision = mongoose.model('PlanRevision', planRevisionSchema);
+
+export default PlanRevision;
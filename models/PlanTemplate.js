@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import { mealSchema, phaseSchema, weeklyTargetSchema, validatePhases, validateWeeklyTargets } from './Plan.js';
+
+// private: only the creator can see and use it; shared: everyone can
+export const TEMPLATE_VISIBILITIES = ['private', 'shared'];
+
+const planTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  numberOfWeeks: {
+    type: Number,
+    required: [true, 'Number of weeks is required'],
+    min: [1, 'Plan must be at least 1 week'],
+    max: [52, 'Plan cannot exceed 52 weeks']
+  },
+  dietPlan: {
+    meals: [mealSchema],
+    totalCalories: { type: Number, default: 0 },
+    macros: {
+      carbs: { type: Number, default: 0 },
+      protein: { type: Number, default: 0 },
+      fats: { type: Number, default: 0 }
+    }
+  },
+  goals: {
+    targetWeight: { type: Number },
+    dailyStepsGoal: { type: Number, default: 10000 },
+    weeklyWorkoutGoal: { type: Number, default: 4 }
+  },
+  phases: [phaseSchema],
+  weeklyTargets: [weeklyTargetSchema],
+  visibility: {
+    type: String,
+    enum: TEMPLATE_VISIBILITIES,
+    default: 'private'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+planTemplateSchema.index({ visibility: 1, name: 1 });
+planTemplateSchema.index({ createdBy: 1 });
+
+planTemplateSchema.pre('validate', validatePhases);
+planTemplateSchema.pre('validate', validateWeeklyTargets);
+
+// Templates a user can see: shared ones plus their own (admins see all)
+planTemplateSchema.statics.visibleTo = function(user) {
+  if (user.role === 'admin') {
+    return this.find();
+  }
+
+  return this.find({
+    $or: [{ visibility: 'shared' }, { createdBy: user._id }]
+  });
+};
+
+// Only the creator or an admin may change a template
+planTemplateSchema.methods.canEdit = function(user) {
+  return user.role === 'admin' || Boolean(this.createdBy?.equals(user._id));
+};
+
+const PlanTemplate = mongoose.model('PlanTemplate', planTemplateSchema);
+
+export default PlanTemplate;
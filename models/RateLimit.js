@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+
+// Failure counters shared across serverless instances (one document per key)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  firstAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  // Whether the most recent take() counted the attempt
+  lastAttemptAllowed: {
+    type: Boolean
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+rateLimitSchema.index({ key: 1 }, { unique: true });
+// Let MongoDB clean up counters once their window has passed
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Take a slot for an attempt in one atomic step. The attempt is counted only
+// if the key is under `maxCount` for the window and the progressive delay
+// since the last counted attempt has passed, so parallel requests cannot all
+// slip through before any of them is counted. Returns { allowed, counter }.
+rateLimitSchema.statics.take = async function(key, { windowMs, maxCount, delayMs }) {
+  const now = new Date();
+  const inWindow = { $gt: ['$expiresAt', now] };
+  const count = { $cond: [inWindow, '$count', 0] };
+
+  const counter = await this.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          lastAttemptAllowed: {
+            $and: [
+              { $lt: [count, maxCount] },
+              {
+                $or: [
+                  { $not: [inWindow] },
+                  { $gte: [now, { $add: ['$lastAttemptAt', delayMs(count)] }] }
+                ]
+              }
+            ]
+          }
+        }
+      },
+      {
+        $set: {
+          count: { $cond: ['$lastAttemptAllowed', { $add: [count, 1] }, '$count'] },
+          firstAttemptAt: { $cond: [inWindow, '$firstAttemptAt', now] },
+          lastAttemptAt: { $cond: ['$lastAttemptAllowed', now, '$lastAttemptAt'] },
+          expiresAt: { $cond: [inWindow, '$expiresAt', new Date(now.getTime() + windowMs)] }
+        }
+      }
+    ],
+    { new: true, upsert: true }
+  );
+
+  return { allowed: counter.lastAttemptAllowed, counter };
+};
+
+// Give back a slot taken for an attempt that turned out not to count
+rateLimitSchema.statics.release = function(key) {
+  return this.updateOne(
+    { key, count: { $gt: 0 }, expiresAt: { $gt: new Date() } },
+    { $inc: { count: -1 } }
+  );
+};
+
+const RateLimit = mongoose.model('RateLimit', rateLimitSchema);
+
+export default RateLimit;
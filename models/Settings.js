@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+// Application-wide settings, stored as a single document
+const settingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  registration: {
+    enabled: { type: Boolean, default: false },
+    // Empty list means any domain may register
+    allowedDomains: [{ type: String, lowercase: true, trim: true }]
+  },
+  security: {
+    requireTwoFactorForAdmins: { type: Boolean, default: false }
+  }
+}, {
+  timestamps: true
+});
+
+// Load the settings document, creating it with defaults on first use
+settingsSchema.statics.getSettings = function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Check whether an email address may self-register
+settingsSchema.methods.isRegistrationAllowed = function(email) {
+  if (!this.registration.enabled) {
+    return false;
+  }
+  const domains = this.registration.allowedDomains || [];
+  if (domains.length === 0) {
+    return true;
+  }
+  const domain = email.split('@')[1]?.toLowerCase();
+  return domains.includes(domain);
+};
+
+// Check whether a role must have two-factor authentication enabled
+settingsSchema.methods.isTwoFactorRequired = function(role) {
+  return role === 'admin' && this.security.requireTwoFactorForAdmins;
+};
+
+const Settings = mongoose.model('Settings', settingsSchema);
+
+export default Settings;
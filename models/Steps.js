@@ -10,11 +10,17 @@ const stepsSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Plan'
   },
+  // Start of the day in the user's timezone
   date: {
     type: Date,
     required: true,
     default: Date.now
   },
+  // Calendar day (YYYY-MM-DD) in the user's timezone when the entry was logged
+  day: {
+    type: String,
+    match: [/^\d{4}-\d{2}-\d{2}$/, 'Day must be in YYYY-MM-DD format']
+  },
   week: {
     type: Number,
     required: true,
@@ -45,8 +51,11 @@ const stepsSchema = new mongoose.Schema({
 // Index for efficient queries
 stepsSchema.index({ userId: 1, date: -1 });
 stepsSchema.index({ userId: 1, week: 1 });
-// Unique index to prevent duplicate entries for the same day
-stepsSchema.index({ userId: 1, date: 1 }, { unique: true });
+// Unique index to prevent duplicate entries for the same calendar day
+stepsSchema.index(
+  { userId: 1, day: 1 },
+  { unique: true, partialFilterExpression: { day: { $exists: true } } }
+);
 
 // Virtual for goal percentage
 stepsSchema.virtual('goalPercentage').get(function() {
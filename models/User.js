@@ -1,5 +1,49 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { generateRandomToken, hashToken, encryptValue, decryptValue } from '../utils/tokens.js';
+import { verifyTotp } from '../utils/totp.js';
+import { isValidTimezone } from '../utils/dateWindow.js';
+
+const profileSchema = new mongoose.Schema({
+  heightCm: {
+    type: Number,
+    min: [50, 'Height must be at least 50 cm'],
+    max: [272, 'Height cannot exceed 272 cm']
+  },
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: (value) => !value || value < new Date(),
+      message: 'Date of birth must be in the past'
+    }
+  },
+  sex: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  activityLevel: {
+    type: String,
+    enum: ['sedentary', 'light', 'moderate', 'active', 'very_active']
+  },
+  weightUnit: {
+    type: String,
+    enum: ['kg', 'lbs'],
+    default: 'kg'
+  },
+  distanceUnit: {
+    type: String,
+    enum: ['km', 'mi'],
+    default: 'km'
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isValidTimezone,
+      message: 'Please provide a valid IANA timezone, e.g. Asia/Kolkata'
+    }
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -24,17 +68,103 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'coach', 'admin'],
     default: 'user'
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  profile: {
+    type: profileSchema,
+    default: () => ({})
+  },
+  // Self-registered users stay pending until they confirm their email
+  isEmailVerified: {
+    type: Boolean,
+    default: true
+  },
+  // New address requested through the profile, swapped in once confirmed
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // Brute-force protection - failed logins and temporary lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Identity linked through OpenID Connect single sign-on
+  oidc: {
+    issuer: { type: String },
+    subject: { type: String }
+  },
+  // Set when the account was anonymized by a GDPR erasure
+  erasedAt: {
+    type: Date,
+    default: null
+  },
+  // Soft delete - the account sits in the trash until restored or purged
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // TOTP two-factor authentication - secrets are encrypted, recovery codes hashed
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: { type: [String], select: false },
+    lastUsedStep: { type: Number, select: false }
   }
 }, {
   timestamps: true
 });
 
+// Full-text search over name and email for the admin user listing
+userSchema.index({ name: 'text', email: 'text' });
+
+// Trashed accounts, oldest first for purging
+userSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+
+// One local account per SSO identity
+userSchema.index(
+  { 'oidc.issuer': 1, 'oidc.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oidc.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
@@ -50,6 +180,126 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Age in whole years, from the profile date of birth
+userSchema.virtual('age').get(function() {
+  const dob = this.profile?.dateOfBirth;
+  if (!dob) return null;
+  const now = new Date();
+  let age = now.getFullYear() - dob.getFullYear();
+  const birthdayPassed = now.getMonth() > dob.getMonth() ||
+    (now.getMonth() === dob.getMonth() && now.getDate() >= dob.getDate());
+  if (!birthdayPassed) age--;
+  return age;
+});
+
+// Check if account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Atomically count a failed login, locking the account once the threshold is
+// hit. A failure more than `windowMs` after the previous one starts the count over.
+userSchema.methods.registerFailedLogin = async function(maxAttempts, lockoutMs, windowMs) {
+  const now = new Date();
+  const recent = { $gt: ['$lastFailedLoginAt', new Date(now.getTime() - windowMs)] };
+
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    [{
+      $set: {
+        failedLoginAttempts: { $cond: [recent, { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] }, 1] },
+        lastFailedLoginAt: now
+      }
+    }],
+    { new: true }
+  );
+
+  if (updated && updated.failedLoginAttempts >= maxAttempts) {
+    updated.lockUntil = new Date(Date.now() + lockoutMs);
+    updated.failedLoginAttempts = 0;
+    await this.constructor.updateOne(
+      { _id: this._id },
+      { lockUntil: updated.lockUntil, failedLoginAttempts: 0 }
+    );
+  }
+
+  return updated;
+};
+
+// Clear failed login counters and any lockout
+userSchema.methods.resetFailedLogins = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, lastFailedLoginAt: null, lockUntil: null }
+  );
+};
+
+// Generate email verification token, storing only its hash
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = generateRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Generate single-use password reset token, storing only its hash.
+// Defaults to one hour; invites use the same token with a longer lifetime.
+userSchema.methods.createPasswordResetToken = function(expiresInMs = 60 * 60 * 1000) {
+  const token = generateRandomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + expiresInMs);
+  return token;
+};
+
+// Verify a TOTP code against the active (or pending) secret.
+// Requires the twoFactor secret fields to be selected.
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const encrypted = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!encrypted) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptValue(encrypted), code);
+
+  // Reject codes that were already used, so a captured code can't be replayed
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Start two-factor enrollment with a new secret
+userSchema.methods.setPendingTwoFactorSecret = function(secret) {
+  this.twoFactor.pendingSecret = encryptValue(secret);
+};
+
+// Replace recovery codes, returning the plain codes to show the user once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
+// Consume a recovery code - each code works only once
+userSchema.methods.useRecoveryCode = function(code) {
+  const hashed = hashToken(String(code || '').trim().toLowerCase());
+  const codes = this.twoFactor.recoveryCodes || [];
+  const index = codes.indexOf(hashed);
+
+  if (index === -1) {
+    return false;
+  }
+
+  codes.splice(index, 1);
+  this.twoFactor.recoveryCodes = codes;
+  return true;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -1,63 +1,180 @@
 import express from 'express';
 import User from '../models/User.js';
 import Plan from '../models/Plan.js';
-import { protect, admin } from '../middleware/auth.js';
+import Settings from '../models/Settings.js';
+import CoachAssignment from '../models/CoachAssignment.js';
+import { protect, requireSession, admin } from '../middleware/auth.js';
+import AuditEvent, { AUDIT_ACTIONS } from '../models/AuditEvent.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { recordAuditEvent } from '../services/audit.js';
+import ErasureRequest from '../models/ErasureRequest.js';
+import { requestErasure, cancelErasure, processDueErasures } from '../services/erasure.js';
+import Impersonation from '../models/Impersonation.js';
+import { startImpersonation, endImpersonation } from '../services/impersonation.js';
+import { provisionUsers } from '../services/userProvisioning.js';
+import { csvUpload, parseCsvFile } from '../utils/csv.js';
+import { intParam } from '../utils/request.js';
+import { lastLoggedAtStages } from '../services/engagement.js';
+import { trashUser, restoreUser, purgeTrashedUsers, getPurgeDate } from '../services/trash.js';
 
 const router = express.Router();
 
 // All routes require authentication and admin role
-router.use(protect, admin);
+router.use(protect, requireSession, admin);
+
+// Sortable columns for the user listing, mapped to pipeline fields
+const USER_SORT_FIELDS = {
+  createdAt: 'createdAt',
+  name: 'name',
+  lastActivity: 'lastLoggedAt',
+  planStatus: 'planStatusRank',
+  currentWeek: 'activePlan.currentWeek'
+};
+
+const PLAN_STATUS_FILTERS = ['active', 'paused', 'completed', 'none'];
+
+// Fields that must never leave the server - aggregation ignores select: false
+const HIDDEN_USER_FIELDS = (() => {
+  const hidden = { __v: 0 };
+  User.schema.eachPath((path, type) => {
+    if (type.options.select === false) {
+      hidden[path] = 0;
+    }
+  });
+  return hidden;
+})();
+
+// Stages adding each user's latest plan as activePlan (null if none)
+const latestPlanStages = (now) => [
+  {
+    $lookup: {
+      from: Plan.collection.name,
+      let: { userId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$userId', '$$userId'] } } },
+        { $sort: { createdAt: -1 } },
+        { $limit: 1 },
+        { $project: { status: 1, startDate: 1, numberOfWeeks: 1, currentWeek: 1, pausedDays: 1 } }
+      ],
+      as: 'latestPlan'
+    }
+  },
+  { $addFields: { latestPlan: { $arrayElemAt: ['$latestPlan', 0] } } },
+  {
+    $addFields: {
+      activePlan: {
+        $cond: [
+          { $ifNull: ['$latestPlan', false] },
+          {
+            status: '$latestPlan.status',
+            currentWeek: Plan.currentWeekExpression('latestPlan.', now),
+            totalWeeks: '$latestPlan.numberOfWeeks'
+          },
+          null
+        ]
+      },
+      planStatusRank: {
+        $switch: {
+          branches: [
+            { case: { $eq: ['$latestPlan.status', 'active'] }, then: 0 },
+            { case: { $eq: ['$latestPlan.status', 'paused'] }, then: 1 },
+            { case: { $eq: ['$latestPlan.status', 'completed'] }, then: 2 }
+          ],
+          default: 3
+        }
+      }
+    }
+  }
+];
 
 // @route   GET /api/admin/users
-// @desc    Get all users
+// @desc    Get all users with their latest plan and last activity.
+//          Filters: search (full text), role, isActive, planStatus (active|paused|completed|none)
+//          Sort: sort=createdAt|name|lastActivity|planStatus|currentWeek, order=asc|desc
 // @access  Admin
 router.get('/users', async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, search, role } = req.query;
+    const { search, role, isActive, planStatus, sort, order } = req.query;
+    const page = intParam(req.query.page, 1, 10000);
+    const limit = intParam(req.query.limit, 10, 100);
 
-    const query = {};
+    if (sort && !USER_SORT_FIELDS[sort]) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${Object.keys(USER_SORT_FIELDS).join(', ')}`
+      });
+    }
+
+    if (planStatus && !PLAN_STATUS_FILTERS.includes(planStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Plan status must be one of: ${PLAN_STATUS_FILTERS.join(', ')}`
+      });
+    }
+
+    const now = new Date();
+    const query = { deletedAt: null };
 
     if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
-      ];
+      query.$text = { $search: search };
     }
 
     if (role) {
       query.role = role;
     }
 
-    const users = await User.find(query)
-      .select('-__v')
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit));
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
 
-    const total = await User.countDocuments(query);
+    // Search results default to relevance, everything else to newest first
+    const direction = order === 'asc' ? 1 : -1;
+    let sortStage;
+    if (sort) {
+      sortStage = { [USER_SORT_FIELDS[sort]]: direction, _id: direction };
+    } else if (search) {
+      sortStage = { score: -1, _id: -1 };
+    } else {
+      sortStage = { createdAt: direction, _id: direction };
+    }
 
-    // Get plan status for each user
-    const usersWithPlan = await Promise.all(
-      users.map(async (user) => {
-        const plan = await Plan.findOne({ userId: user._id }).sort({ createdAt: -1 });
-        return {
-          ...user.toObject(),
-          activePlan: plan ? {
-            status: plan.status,
-            currentWeek: plan.calculateCurrentWeek(),
-            totalWeeks: plan.numberOfWeeks
-          } : null
-        };
-      })
-    );
+    // Only join plans and activity before paginating when the filter or sort
+    // needs them; otherwise join just the page being returned
+    const planFirst = Boolean(planStatus) || ['planStatus', 'currentWeek'].includes(sort);
+    const activityFirst = sort === 'lastActivity';
+
+    const pipeline = [
+      { $match: query },
+      ...(search ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      ...(planFirst ? latestPlanStages(now) : []),
+      ...(planStatus === 'none' ? [{ $match: { latestPlan: null } }] : []),
+      ...(planStatus && planStatus !== 'none' ? [{ $match: { 'latestPlan.status': planStatus } }] : []),
+      ...(activityFirst ? lastLoggedAtStages() : []),
+      { $sort: sortStage },
+      {
+        $facet: {
+          users: [
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            ...(planFirst ? [] : latestPlanStages(now)),
+            ...(activityFirst ? [] : lastLoggedAtStages()),
+            { $project: { ...HIDDEN_USER_FIELDS, latestPlan: 0, planStatusRank: 0, score: 0 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ];
+
+    const [result] = await User.aggregate(pipeline);
+    const total = result.total[0]?.count || 0;
 
     res.json({
       success: true,
       data: {
-        users: usersWithPlan,
+        users: result.users,
         pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
+          page,
+          limit,
           total,
           pages: Math.ceil(total / limit)
         }
@@ -114,6 +231,126 @@ router.post('/users', async (req, res, next) => {
   }
 });
 
+// @route   POST /api/admin/users/bulk
+// @desc    Create many users from a CSV upload (file) or JSON body (users).
+//          Options: dryRun, credentials (invite|password), starterPlan
+// @access  Admin
+router.post('/users/bulk', csvUpload.single('file'), async (req, res, next) => {
+  try {
+    let rows = req.body.users;
+    let firstRow = 1;
+    let starterPlan = req.body.starterPlan || null;
+
+    if (req.file) {
+      try {
+        rows = parseCsvFile(req.file);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: `Could not parse CSV: ${error.message}`
+        });
+      }
+      firstRow = 2; // header is row 1
+    }
+
+    // Multipart fields arrive as strings
+    if (typeof starterPlan === 'string') {
+      try {
+        starterPlan = JSON.parse(starterPlan);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'starterPlan must be valid JSON'
+        });
+      }
+    }
+
+    const dryRun = [req.query.dryRun, req.body.dryRun].some(value => value === true || value === 'true');
+
+    const result = await provisionUsers(req, rows, {
+      dryRun,
+      credentials: req.body.credentials || 'invite',
+      starterPlan,
+      firstRow
+    });
+
+    if (!dryRun && result.created.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No users were created',
+        data: result
+      });
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `${result.valid.length} of ${result.total} users are valid`
+        : `Created ${result.created.length} of ${result.total} users`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/users/trash
+// @desc    List soft-deleted users and when they will be purged
+// @access  Admin
+router.get('/users/trash', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const query = { deletedAt: { $ne: null } };
+
+    const users = await User.find(query)
+      .select('-__v')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        users: users.map(user => ({
+          ...user.toObject(),
+          purgeAt: getPurgeDate(user)
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/trash/purge
+// @desc    Permanently delete users past the trash retention window
+// @access  Admin
+router.post('/users/trash/purge', async (req, res, next) => {
+  try {
+    const purged = await purgeTrashedUsers();
+
+    res.json({
+      success: true,
+      data: {
+        purged: purged.filter(result => !result.error).length,
+        users: purged
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/users/:id
 // @desc    Get user by ID
 // @access  Admin
@@ -189,6 +426,25 @@ router.put('/users/:id', async (req, res, next) => {
       { new: true, runValidators: true }
     );
 
+    // Deactivated users must be signed out everywhere
+    if (isActive === false) {
+      await revokeUserSessions(updatedUser._id, 'deactivated');
+    }
+
+    if (role !== undefined && role !== user.role) {
+      await recordAuditEvent(req, 'admin.user.role_change', {
+        target: updatedUser,
+        metadata: { from: user.role, to: updatedUser.role }
+      });
+    }
+
+    if (isActive !== undefined && isActive !== user.isActive) {
+      await recordAuditEvent(req, 'admin.user.active_change', {
+        target: updatedUser,
+        metadata: { from: user.isActive, to: updatedUser.isActive }
+      });
+    }
+
     res.json({
       success: true,
       data: updatedUser
@@ -199,10 +455,20 @@ router.put('/users/:id', async (req, res, next) => {
 });
 
 // @route   DELETE /api/admin/users/:id
-// @desc    Delete user
+// @desc    Move user to the trash, or with ?permanent=true erase user and their
+//          data (?mode=hard|anonymize, ?graceDays=N to schedule)
 // @access  Admin
 router.delete('/users/:id', async (req, res, next) => {
   try {
+    const { permanent, mode = 'hard', graceDays = 0 } = req.query;
+
+    if (!['hard', 'anonymize'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be hard or anonymize'
+      });
+    }
+
     // Prevent admin from deleting themselves
     if (req.user._id.toString() === req.params.id) {
       return res.status(400).json({
@@ -220,11 +486,184 @@ router.delete('/users/:id', async (req, res, next) => {
       });
     }
 
-    await User.findByIdAndDelete(req.params.id);
+    // Without ?permanent=true the user only moves to the trash
+    if (permanent !== 'true') {
+      await trashUser(user, req.user);
+      await recordAuditEvent(req, 'admin.user.delete', {
+        target: user,
+        metadata: { email: user.email, name: user.name, role: user.role, soft: true }
+      });
+
+      return res.json({
+        success: true,
+        message: `User moved to trash. It will be permanently deleted after ${getPurgeDate(user).toISOString()}`,
+        data: {
+          id: user._id,
+          deletedAt: user.deletedAt,
+          purgeAt: getPurgeDate(user)
+        }
+      });
+    }
+
+    const erasure = await requestErasure({
+      user,
+      mode,
+      source: 'admin',
+      requestedBy: req.user,
+      graceDays: Math.max(parseInt(graceDays) || 0, 0)
+    });
+
+    await recordAuditEvent(req, 'admin.user.delete', {
+      target: user,
+      metadata: { email: user.email, name: user.name, role: user.role, mode, requestId: erasure._id }
+    });
+
+    if (erasure.status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        message: `User erasure scheduled for ${erasure.scheduledFor.toISOString()}`,
+        data: erasure
+      });
+    }
+
+    if (erasure.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        message: `User erasure failed: ${erasure.error}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully',
+      data: erasure.summary
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'An erasure request is already pending for this user'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/erasure-requests
+// @desc    List account erasure requests
+// @access  Admin
+router.get('/erasure-requests', async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const requests = await ErasureRequest.find(query)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await ErasureRequest.countDocuments(query);
 
     res.json({
       success: true,
-      message: 'User deleted successfully'
+      data: {
+        requests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/erasure-requests/process
+// @desc    Run erasures whose grace period has passed
+// @access  Admin
+router.post('/erasure-requests/process', async (req, res, next) => {
+  try {
+    const processed = await processDueErasures();
+
+    res.json({
+      success: true,
+      data: {
+        processed: processed.length,
+        requests: processed.map(request => ({
+          id: request._id,
+          userId: request.userId,
+          status: request.status,
+          summary: request.summary
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/erasure-requests/:id/cancel
+// @desc    Cancel a pending erasure during its grace period
+// @access  Admin
+router.post('/erasure-requests/:id/cancel', async (req, res, next) => {
+  try {
+    const request = await cancelErasure(req.params.id, req.user);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending erasure request found'
+      });
+    }
+
+    await recordAuditEvent(req, 'user.erasure.cancel', {
+      target: { _id: request.userId },
+      metadata: { requestId: request._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Erasure cancelled',
+      data: request
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/:id/restore
+// @desc    Restore a user from the trash
+// @access  Admin
+router.post('/users/:id/restore', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await restoreUser(user);
+    await recordAuditEvent(req, 'admin.user.restore', { target: user });
+
+    res.json({
+      success: true,
+      message: 'User restored successfully',
+      data: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isActive: user.isActive
+      }
     });
   } catch (error) {
     next(error);
@@ -257,6 +696,9 @@ router.post('/users/:id/reset-password', async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    await revokeUserSessions(user._id, 'password_reset');
+    await recordAuditEvent(req, 'admin.user.password_reset', { target: user });
+
     res.json({
       success: true,
       message: 'Password reset successfully'
@@ -266,13 +708,375 @@ router.post('/users/:id/reset-password', async (req, res, next) => {
   }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Clear failed login attempts and lift a lockout
+// @access  Admin
+router.post('/users/:id/unlock', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetFailedLogins();
+    await recordAuditEvent(req, 'admin.user.unlock', {
+      target: user,
+      metadata: { wasLocked: user.isLocked(), failedLoginAttempts: user.failedLoginAttempts }
+    });
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Get a short-lived token to see the app as a user (read-only unless allowWrites)
+// @access  Admin
+router.post('/users/:id/impersonate', async (req, res, next) => {
+  try {
+    const { reason, allowWrites } = req.body;
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a reason for impersonating this user'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { impersonation, token } = await startImpersonation(req, user, { reason, allowWrites });
+
+    res.status(201).json({
+      success: true,
+      message: `Impersonating ${user.email}`,
+      data: {
+        token,
+        impersonation
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/impersonations
+// @desc    List impersonations (active only unless ?all=true)
+// @access  Admin
+router.get('/impersonations', async (req, res, next) => {
+  try {
+    const { all, page = 1, limit = 20 } = req.query;
+
+    const query = all === 'true' ? {} : { endedAt: null, expiresAt: { $gt: new Date() } };
+
+    const impersonations = await Impersonation.find(query)
+      .populate('adminId', 'name email')
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Impersonation.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        impersonations,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/impersonations/:id/end
+// @desc    End an impersonation early
+// @access  Admin
+router.post('/impersonations/:id/end', async (req, res, next) => {
+  try {
+    const impersonation = await Impersonation.findById(req.params.id);
+
+    if (!impersonation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Impersonation not found'
+      });
+    }
+
+    await endImpersonation(req, impersonation, { actor: req.user, reason: 'ended_by_admin' });
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended',
+      data: impersonation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/coaches/:id/clients
+// @desc    List clients assigned to a coach
+// @access  Admin
+router.get('/coaches/:id/clients', async (req, res, next) => {
+  try {
+    const assignments = await CoachAssignment.find({ coachId: req.params.id })
+      .populate('clientId', 'name email isActive')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: assignments.map(assignment => ({
+        client: assignment.clientId,
+        access: assignment.access,
+        assignedAt: assignment.createdAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/coaches/:id/clients
+// @desc    Assign a client to a coach (or update access level)
+// @access  Admin
+router.post('/coaches/:id/clients', async (req, res, next) => {
+  try {
+    const { clientId, access } = req.body;
+
+    if (!clientId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide clientId'
+      });
+    }
+
+    const coachUser = await User.findById(req.params.id);
+
+    if (!coachUser || coachUser.role !== 'coach') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coach not found'
+      });
+    }
+
+    const client = await User.findById(clientId);
+
+    if (!client) {
+      return res.status(404).json({
+        success: false,
+        message: 'Client not found'
+      });
+    }
+
+    if (client._id.equals(coachUser._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coach cannot be assigned to themselves'
+      });
+    }
+
+    const assignment = await CoachAssignment.findOneAndUpdate(
+      { coachId: coachUser._id, clientId: client._id },
+      { access: access || 'read', assignedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: assignment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/coaches/:id/clients/:clientId
+// @desc    Remove a client from a coach
+// @access  Admin
+router.delete('/coaches/:id/clients/:clientId', async (req, res, next) => {
+  try {
+    const assignment = await CoachAssignment.findOneAndDelete({
+      coachId: req.params.id,
+      clientId: req.params.clientId
+    });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Client unassigned successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/settings
+// @desc    Get application settings
+// @access  Admin
+router.get('/settings', async (req, res, next) => {
+  try {
+    const settings = await Settings.getSettings();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/settings/registration
+// @desc    Turn open registration on/off and restrict email domains
+// @access  Admin
+router.put('/settings/registration', async (req, res, next) => {
+  try {
+    const { enabled, allowedDomains } = req.body;
+
+    if (allowedDomains !== undefined && !Array.isArray(allowedDomains)) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowedDomains must be an array of domains'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+
+    if (enabled !== undefined) settings.registration.enabled = Boolean(enabled);
+    if (allowedDomains !== undefined) {
+      settings.registration.allowedDomains = allowedDomains
+        .map(domain => String(domain).trim().replace(/^@/, ''))
+        .filter(Boolean);
+    }
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/settings/security
+// @desc    Update security settings such as required 2FA for admins
+// @access  Admin
+router.put('/settings/security', async (req, res, next) => {
+  try {
+    const { requireTwoFactorForAdmins } = req.body;
+
+    const settings = await Settings.getSettings();
+
+    if (requireTwoFactorForAdmins !== undefined) {
+      // Don't let an admin lock themselves out of the admin area
+      if (requireTwoFactorForAdmins && !req.user.twoFactor?.enabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Enable two-factor authentication on your own account first'
+        });
+      }
+      settings.security.requireTwoFactorForAdmins = Boolean(requireTwoFactorForAdmins);
+    }
+
+    await settings.save();
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/audit
+// @desc    Query the security audit log
+// @access  Admin
+router.get('/audit', async (req, res, next) => {
+  try {
+    const { page = 1, limit = 50, action, actorId, targetId, ip, startDate, endDate } = req.query;
+
+    const query = {};
+
+    if (action) {
+      // Allow prefix filters such as "auth.login" or "admin.user"
+      query.action = AUDIT_ACTIONS.includes(action)
+        ? action
+        : { $in: AUDIT_ACTIONS.filter(a => a.startsWith(`${action}.`)) };
+    }
+
+    if (actorId) query.actorId = actorId;
+    if (targetId) query.targetId = targetId;
+    if (ip) query.ip = ip;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const events = await AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await AuditEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard stats
 // @access  Admin
 router.get('/stats', async (req, res, next) => {
   try {
-    const totalUsers = await User.countDocuments({ role: 'user' });
-    const activeUsers = await User.countDocuments({ role: 'user', isActive: true });
+    const totalUsers = await User.countDocuments({ role: 'user', deletedAt: null });
+    const activeUsers = await User.countDocuments({ role: 'user', isActive: true, deletedAt: null });
+    const trashedUsers = await User.countDocuments({ deletedAt: { $ne: null } });
     const activePlans = await Plan.countDocuments({ status: 'active' });
     const pausedPlans = await Plan.countDocuments({ status: 'paused' });
     const completedPlans = await Plan.countDocuments({ status: 'completed' });
@@ -290,6 +1094,7 @@ router.get('/stats', async (req, res, next) => {
       data: {
         totalUsers,
         activeUsers,
+        trashedUsers,
         activePlans,
         pausedPlans,
         completedPlans,
@@ -0,0 +1,111 @@
+import express from 'express';
+import { protect, requireSession, admin } from '../middleware/auth.js';
+import { getUserTimezone, isValidTimezone } from '../utils/dateWindow.js';
+import { intParam } from '../utils/request.js';
+import {
+  getActiveLoggers,
+  getCompliance,
+  getQuietUsers,
+  getCohortRetention
+} from '../services/engagement.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect, requireSession, admin);
+
+// Days are bucketed in ?timezone= or the admin's own timezone
+const resolveTimezone = (req, res, next) => {
+  const { timezone } = req.query;
+
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please provide a valid IANA timezone, e.g. Asia/Kolkata'
+    });
+  }
+
+  req.reportTimezone = timezone || getUserTimezone(req.user);
+  next();
+};
+
+// @route   GET /api/admin/analytics/active-loggers
+// @desc    Daily and weekly active loggers over the last ?days= (default 30)
+// @access  Admin
+router.get('/active-loggers', resolveTimezone, async (req, res, next) => {
+  try {
+    const data = await getActiveLoggers({
+      days: intParam(req.query.days, 30, 365),
+      timezone: req.reportTimezone
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/analytics/compliance
+// @desc    Per-user logging compliance against active plans over the last ?days= (default 28)
+// @access  Admin
+router.get('/compliance', resolveTimezone, async (req, res, next) => {
+  try {
+    const data = await getCompliance({
+      days: intParam(req.query.days, 28, 365),
+      timezone: req.reportTimezone,
+      page: intParam(req.query.page, 1, 10000),
+      limit: intParam(req.query.limit, 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/analytics/quiet-users
+// @desc    Active users with nothing logged for ?days= (default 7)
+// @access  Admin
+router.get('/quiet-users', async (req, res, next) => {
+  try {
+    const data = await getQuietUsers({
+      days: intParam(req.query.days, 7, 365),
+      page: intParam(req.query.page, 1, 10000),
+      limit: intParam(req.query.limit, 20, 100)
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/analytics/retention
+// @desc    Weekly retention by signup week over the last ?weeks= (default 12)
+// @access  Admin
+router.get('/retention', resolveTimezone, async (req, res, next) => {
+  try {
+    const data = await getCohortRetention({
+      weeks: intParam(req.query.weeks, 12, 52),
+      timezone: req.reportTimezone
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,183 @@
+import express from 'express';
+import Announcement from '../models/Announcement.js';
+import AnnouncementRead from '../models/AnnouncementRead.js';
+import { protect, requireSession, admin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect, requireSession, admin);
+
+// Fields admins may set on an announcement
+const ANNOUNCEMENT_FIELDS = ['title', 'body', 'audience', 'roles', 'planStatuses', 'startsAt', 'endsAt'];
+
+// Query for announcements by lifecycle state
+const STATUS_QUERIES = {
+  scheduled: (now) => ({ startsAt: { $gt: now } }),
+  active: (now) => ({ startsAt: { $lte: now }, $or: [{ endsAt: null }, { endsAt: { $gt: now } }] }),
+  expired: (now) => ({ endsAt: { $ne: null, $lte: now } })
+};
+
+const pickFields = (body) => {
+  const fields = {};
+  ANNOUNCEMENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// @route   GET /api/admin/announcements
+// @desc    List announcements (?status=scheduled|active|expired) with read counts
+// @access  Admin
+router.get('/', async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    if (status && !STATUS_QUERIES[status]) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Object.keys(STATUS_QUERIES).join(', ')}`
+      });
+    }
+
+    const query = status ? STATUS_QUERIES[status](new Date()) : {};
+
+    const announcements = await Announcement.find(query)
+      .populate('createdBy', 'name email')
+      .sort({ startsAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Announcement.countDocuments(query);
+
+    const readCounts = await AnnouncementRead.aggregate([
+      { $match: { announcementId: { $in: announcements.map(announcement => announcement._id) } } },
+      { $group: { _id: '$announcementId', count: { $sum: 1 } } }
+    ]);
+    const readCountById = new Map(readCounts.map(({ _id, count }) => [_id.toString(), count]));
+
+    res.json({
+      success: true,
+      data: {
+        announcements: announcements.map(announcement => ({
+          ...announcement.toObject(),
+          readCount: readCountById.get(announcement._id.toString()) || 0
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/announcements
+// @desc    Create an announcement
+// @access  Admin
+router.post('/', async (req, res, next) => {
+  try {
+    const announcement = await Announcement.create({
+      ...pickFields(req.body),
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: announcement
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/announcements/:id
+// @desc    Get an announcement
+// @access  Admin
+router.get('/:id', async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('updatedBy', 'name email');
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    const readCount = await AnnouncementRead.countDocuments({ announcementId: announcement._id });
+
+    res.json({
+      success: true,
+      data: {
+        ...announcement.toObject(),
+        readCount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/announcements/:id
+// @desc    Update an announcement
+// @access  Admin
+router.put('/:id', async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findById(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    announcement.set(pickFields(req.body));
+    announcement.updatedBy = req.user._id;
+    await announcement.save();
+
+    res.json({
+      success: true,
+      data: announcement
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/announcements/:id
+// @desc    Delete an announcement and its read receipts
+// @access  Admin
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const announcement = await Announcement.findByIdAndDelete(req.params.id);
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    await AnnouncementRead.deleteMany({ announcementId: announcement._id });
+
+    res.json({
+      success: true,
+      message: 'Announcement deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
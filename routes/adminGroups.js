@@ -0,0 +1,263 @@
+import express from 'express';
+import Group from '../models/Group.js';
+import { protect, requireSession, admin } from '../middleware/auth.js';
+import { resolveGroupOwner, resolveMemberIds, getGroupRollup } from '../services/groups.js';
+import { getDisplayUnits } from '../utils/units.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin role
+router.use(protect, requireSession, admin);
+
+// @route   GET /api/admin/groups
+// @desc    List groups (?ownerId= to filter)
+// @access  Admin
+router.get('/', async (req, res, next) => {
+  try {
+    const { ownerId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (ownerId) query.ownerId = ownerId;
+
+    const groups = await Group.find(query)
+      .populate('ownerId', 'name email role')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await Group.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        groups: groups.map(group => ({
+          id: group._id,
+          name: group.name,
+          description: group.description,
+          owner: group.ownerId,
+          startDate: group.startDate,
+          endDate: group.endDate,
+          memberCount: group.members.length,
+          createdAt: group.createdAt
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/groups
+// @desc    Create a group (owner defaults to the current admin)
+// @access  Admin
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, description, ownerId, startDate, endDate, userIds } = req.body;
+
+    const owner = ownerId ? await resolveGroupOwner(ownerId) : req.user;
+    const memberIds = userIds?.length ? await resolveMemberIds(userIds) : [];
+
+    const group = await Group.create({
+      name,
+      description,
+      ownerId: owner._id,
+      startDate: startDate ? new Date(startDate) : null,
+      endDate: endDate ? new Date(endDate) : null,
+      members: memberIds.map(userId => ({ userId })),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/groups/:id
+// @desc    Get a group with its members
+// @access  Admin
+router.get('/:id', async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id)
+      .populate('ownerId', 'name email role')
+      .populate('members.userId', 'name email isActive');
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/groups/:id
+// @desc    Update group details or owner
+// @access  Admin
+router.put('/:id', async (req, res, next) => {
+  try {
+    const { name, description, ownerId, startDate, endDate } = req.body;
+
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (name !== undefined) group.name = name;
+    if (description !== undefined) group.description = description;
+    if (startDate !== undefined) group.startDate = startDate ? new Date(startDate) : null;
+    if (endDate !== undefined) group.endDate = endDate ? new Date(endDate) : null;
+    if (ownerId) group.ownerId = (await resolveGroupOwner(ownerId))._id;
+
+    await group.save();
+
+    res.json({
+      success: true,
+      data: group
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/groups/:id
+// @desc    Delete a group (members' data is untouched)
+// @access  Admin
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    await group.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/groups/:id/members
+// @desc    Add users to a group (existing members are skipped)
+// @access  Admin
+router.post('/:id/members', async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const memberIds = await resolveMemberIds(req.body.userIds);
+
+    const added = memberIds.filter(userId => !group.hasMember(userId));
+    added.forEach(userId => group.members.push({ userId }));
+    await group.save();
+
+    res.json({
+      success: true,
+      message: `Added ${added.length} members`,
+      data: {
+        added: added.length,
+        memberCount: group.members.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/groups/:id/members/:userId
+// @desc    Remove a user from a group
+// @access  Admin
+router.delete('/:id/members/:userId', async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!group.hasMember(req.params.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not a member of this group'
+      });
+    }
+
+    group.members = group.members.filter(member => !member.userId.equals(req.params.userId));
+    await group.save();
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/groups/:id/rollup
+// @desc    Weight change, step totals and workout counts per member
+// @access  Admin
+router.get('/:id/rollup', async (req, res, next) => {
+  try {
+    const group = await Group.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const { weightUnit } = getDisplayUnits(req);
+    const rollup = await getGroupRollup(group, { weightUnit });
+
+    res.json({
+      success: true,
+      data: {
+        group: { id: group._id, name: group.name },
+        ...rollup
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
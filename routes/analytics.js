@@ -4,46 +4,110 @@ import Workout from '../models/Workout.js';
 import Steps from '../models/Steps.js';
 import Meal from '../models/Meal.js';
 import Plan from '../models/Plan.js';
-import { protect } from '../middleware/auth.js';
+import { protect, delegate, requireScope } from '../middleware/auth.js';
+import {
+  getDisplayUnits,
+  formatWeightEntry,
+  formatStepsEntry,
+  weightInKgExpression,
+  convertWeight,
+  roundTo
+} from '../utils/units.js';
+import {
+  getUserTimezone,
+  getDayWindow,
+  getWeekWindow,
+  startOfDay,
+  toDateKey,
+  toRangeQuery
+} from '../utils/dateWindow.js';
+import { stepsTotalsStage, workoutTotalsStage, phaseIndexExpression } from '../services/analytics.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; coaches may act on clients via ?asUser=
+router.use(protect, delegate);
+
+// Weekly summaries are grouped by plan week, or with ?groupBy=phase by the
+// phases of the current plan (counting only entries since the plan started)
+const resolveWeeklyGrouping = async (req, res, next) => {
+  try {
+    const { groupBy = 'week' } = req.query;
+
+    if (groupBy === 'week') {
+      req.weeklyGrouping = { key: '$week', match: {}, label: (week) => ({ week }) };
+      return next();
+    }
+
+    if (groupBy !== 'phase') {
+      return res.status(400).json({
+        success: false,
+        message: 'groupBy must be week or phase'
+      });
+    }
+
+    const plan = await Plan.findOne({
+      userId: req.user._id,
+      status: { $in: ['active', 'paused'] }
+    });
+
+    if (!plan?.phases.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'The current plan has no phases'
+      });
+    }
+
+    req.weeklyGrouping = {
+      key: phaseIndexExpression(plan.phases),
+      match: { date: { $gte: plan.startDate } },
+      label: (index) => {
+        const phase = plan.phases[index];
+        return {
+          phase: phase ? {
+            name: phase.name,
+            type: phase.type,
+            startWeek: phase.startWeek,
+            endWeek: phase.endWeek
+          } : null
+        };
+      }
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
 // @route   GET /api/analytics/overview
 // @desc    Get dashboard overview stats
 // @access  Private
-router.get('/overview', async (req, res, next) => {
+router.get('/overview', requireScope('analytics:read'), async (req, res, next) => {
   try {
     const userId = req.user._id;
 
-    // Get current plan
+    // Get current plan and this week's targets
     const plan = await Plan.findOne({
       userId,
       status: { $in: ['active', 'paused'] }
     });
+    const targets = plan?.getWeekTargets();
 
-    // Get latest weight
-    const latestWeight = await Weight.findOne({ userId }).sort({ date: -1 });
-    const firstWeight = await Weight.findOne({ userId }).sort({ date: 1 });
+    // Get latest weight, in the preferred unit
+    const { weightUnit } = getDisplayUnits(req);
+    const latestWeight = formatWeightEntry(await Weight.findOne({ userId }).sort({ date: -1 }), weightUnit);
+    const firstWeight = formatWeightEntry(await Weight.findOne({ userId }).sort({ date: 1 }), weightUnit);
 
-    // Today's date range
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-
-    // This week's date range
-    const weekStart = new Date(today);
-    weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 7);
+    // Today's and this week's date ranges, in the user's timezone
+    const timezone = getUserTimezone(req.user);
+    const now = new Date();
+    const today = toRangeQuery(getDayWindow(now, timezone));
+    const thisWeek = toRangeQuery(getWeekWindow(now, timezone));
 
     // Get today's stats
-    const todaySteps = await Steps.findOne({ userId, date: { $gte: today, $lt: tomorrow } });
-    const todayWorkouts = await Workout.countDocuments({ userId, date: { $gte: today, $lt: tomorrow } });
-    const todayMeals = await Meal.find({ userId, date: { $gte: today, $lt: tomorrow } });
+    const todaySteps = await Steps.findOne({ userId, date: today });
+    const todayWorkouts = await Workout.countDocuments({ userId, date: today });
+    const todayMeals = await Meal.find({ userId, date: today });
 
     // Calculate today's calories
     let todayCalories = 0;
@@ -54,9 +118,9 @@ router.get('/overview', async (req, res, next) => {
     });
 
     // Get weekly stats
-    const weeklyWorkouts = await Workout.countDocuments({ userId, date: { $gte: weekStart, $lt: weekEnd } });
+    const weeklyWorkouts = await Workout.countDocuments({ userId, date: thisWeek });
     const weeklySteps = await Steps.aggregate([
-      { $match: { userId, date: { $gte: weekStart, $lt: weekEnd } } },
+      { $match: { userId, date: thisWeek } },
       { $group: { _id: null, total: { $sum: '$count' }, avg: { $avg: '$count' } } }
     ]);
 
@@ -66,18 +130,17 @@ router.get('/overview', async (req, res, next) => {
       .limit(30)
       .select('date count');
 
+    // Compare calendar days (YYYY-MM-DD sorts chronologically)
     let streak = 0;
-    const checkDate = new Date();
-    checkDate.setHours(0, 0, 0, 0);
+    let checkDay = toDateKey(now, timezone);
 
     for (const entry of recentActivity) {
-      const entryDate = new Date(entry.date);
-      entryDate.setHours(0, 0, 0, 0);
+      const entryDay = toDateKey(entry.date, timezone);
 
-      if (entryDate.getTime() === checkDate.getTime() && entry.count > 0) {
+      if (entryDay === checkDay && entry.count > 0) {
         streak++;
-        checkDate.setDate(checkDate.getDate() - 1);
-      } else if (entryDate.getTime() < checkDate.getTime()) {
+        checkDay = toDateKey(startOfDay(now, timezone, -streak), timezone);
+      } else if (entryDay < checkDay) {
         break;
       }
     }
@@ -89,25 +152,27 @@ router.get('/overview', async (req, res, next) => {
           status: plan.status,
           currentWeek: plan.calculateCurrentWeek(),
           totalWeeks: plan.numberOfWeeks,
-          progressPercentage: Math.round((plan.calculateCurrentWeek() / plan.numberOfWeeks) * 100)
+          progressPercentage: Math.round((plan.calculateCurrentWeek() / plan.numberOfWeeks) * 100),
+          targets
         } : null,
         weight: {
           current: latestWeight?.weight || null,
           initial: firstWeight?.weight || null,
           change: latestWeight && firstWeight ?
-            Math.round((latestWeight.weight - firstWeight.weight) * 10) / 10 : null,
-          unit: latestWeight?.unit || 'kg'
+            roundTo(latestWeight.weight - firstWeight.weight) : null,
+          unit: weightUnit
         },
         today: {
           steps: todaySteps?.count || 0,
-          stepsGoal: todaySteps?.goal || plan?.goals?.dailyStepsGoal || 10000,
+          stepsGoal: todaySteps?.goal || targets?.dailyStepsGoal || 10000,
           workouts: todayWorkouts,
           calories: todayCalories,
+          caloriesGoal: targets?.calories || null,
           mealsLogged: todayMeals.length
         },
         weekly: {
           workouts: weeklyWorkouts,
-          workoutGoal: plan?.goals?.weeklyWorkoutGoal || 4,
+          workoutGoal: targets?.weeklyWorkoutGoal || 4,
           totalSteps: weeklySteps[0]?.total || 0,
           avgSteps: Math.round(weeklySteps[0]?.avg || 0)
         },
@@ -120,12 +185,13 @@ router.get('/overview', async (req, res, next) => {
 });
 
 // @route   GET /api/analytics/weight
-// @desc    Get weight analytics
+// @desc    Get weight analytics (?groupBy=week|phase for the weekly summary)
 // @access  Private
-router.get('/weight', async (req, res, next) => {
+router.get('/weight', requireScope('analytics:read'), resolveWeeklyGrouping, async (req, res, next) => {
   try {
     const { period = 'all' } = req.query;
     const userId = req.user._id;
+    const timezone = getUserTimezone(req.user);
 
     let dateFilter = {};
     const now = new Date();
@@ -143,18 +209,23 @@ router.get('/weight', async (req, res, next) => {
       matchQuery.date = dateFilter;
     }
 
-    // Get all weight entries
-    const weights = await Weight.find(matchQuery).sort({ date: 1 });
+    // Get all weight entries, in the preferred unit
+    const { weightUnit } = getDisplayUnits(req);
+    const toUnit = (kg) => roundTo(convertWeight(kg, 'kg', weightUnit));
+    const weights = (await Weight.find(matchQuery).sort({ date: 1 }))
+      .map(entry => formatWeightEntry(entry, weightUnit));
 
-    // Weekly averages
+    // Weekly averages (entries may mix units, so aggregate in kg)
     const weeklyAvg = await Weight.aggregate([
       { $match: matchQuery },
+      { $match: req.weeklyGrouping.match },
+      { $addFields: { weightKg: weightInKgExpression() } },
       {
         $group: {
-          _id: '$week',
-          avgWeight: { $avg: '$weight' },
-          minWeight: { $min: '$weight' },
-          maxWeight: { $max: '$weight' },
+          _id: req.weeklyGrouping.key,
+          avgWeight: { $avg: '$weightKg' },
+          minWeight: { $min: '$weightKg' },
+          maxWeight: { $max: '$weightKg' },
           count: { $sum: 1 }
         }
       },
@@ -164,12 +235,13 @@ router.get('/weight', async (req, res, next) => {
     // Monthly averages
     const monthlyAvg = await Weight.aggregate([
       { $match: matchQuery },
+      { $addFields: { weightKg: weightInKgExpression() } },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m', date: '$date' } },
-          avgWeight: { $avg: '$weight' },
-          minWeight: { $min: '$weight' },
-          maxWeight: { $max: '$weight' },
+          _id: { $dateToString: { format: '%Y-%m', date: '$date', timezone } },
+          avgWeight: { $avg: '$weightKg' },
+          minWeight: { $min: '$weightKg' },
+          maxWeight: { $max: '$weightKg' },
           count: { $sum: 1 }
         }
       },
@@ -186,24 +258,25 @@ router.get('/weight', async (req, res, next) => {
       data: {
         entries: weights,
         weeklyAverage: weeklyAvg.map(w => ({
-          week: w._id,
-          avg: Math.round(w.avgWeight * 10) / 10,
-          min: w.minWeight,
-          max: w.maxWeight,
+          ...req.weeklyGrouping.label(w._id),
+          avg: toUnit(w.avgWeight),
+          min: toUnit(w.minWeight),
+          max: toUnit(w.maxWeight),
           entries: w.count
         })),
         monthlyAverage: monthlyAvg.map(m => ({
           month: m._id,
-          avg: Math.round(m.avgWeight * 10) / 10,
-          min: m.minWeight,
-          max: m.maxWeight,
+          avg: toUnit(m.avgWeight),
+          min: toUnit(m.minWeight),
+          max: toUnit(m.maxWeight),
           entries: m.count
         })),
         summary: {
           startWeight: firstWeight,
           currentWeight: lastWeight,
-          totalChange: Math.round(totalChange * 10) / 10,
-          totalEntries: weights.length
+          totalChange: roundTo(totalChange),
+          totalEntries: weights.length,
+          unit: weightUnit
         }
       }
     });
@@ -213,12 +286,13 @@ router.get('/weight', async (req, res, next) => {
 });
 
 // @route   GET /api/analytics/steps
-// @desc    Get steps analytics
+// @desc    Get steps analytics (?groupBy=week|phase for the weekly summary)
 // @access  Private
-router.get('/steps', async (req, res, next) => {
+router.get('/steps', requireScope('analytics:read'), resolveWeeklyGrouping, async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
     const userId = req.user._id;
+    const timezone = getUserTimezone(req.user);
 
     let dateFilter = {};
     const now = new Date();
@@ -236,15 +310,18 @@ router.get('/steps', async (req, res, next) => {
       matchQuery.date = dateFilter;
     }
 
-    // Daily steps
-    const dailySteps = await Steps.find(matchQuery).sort({ date: 1 });
+    // Daily steps, distances in the preferred unit
+    const { distanceUnit } = getDisplayUnits(req);
+    const dailySteps = (await Steps.find(matchQuery).sort({ date: 1 }))
+      .map(entry => formatStepsEntry(entry, distanceUnit));
 
     // Weekly summary
     const weeklySummary = await Steps.aggregate([
       { $match: matchQuery },
+      { $match: req.weeklyGrouping.match },
       {
         $group: {
-          _id: '$week',
+          _id: req.weeklyGrouping.key,
           totalSteps: { $sum: '$count' },
           avgSteps: { $avg: '$count' },
           maxSteps: { $max: '$count' },
@@ -263,7 +340,7 @@ router.get('/steps', async (req, res, next) => {
       { $match: matchQuery },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m', date: '$date', timezone } },
           totalSteps: { $sum: '$count' },
           avgSteps: { $avg: '$count' },
           maxSteps: { $max: '$count' },
@@ -276,15 +353,7 @@ router.get('/steps', async (req, res, next) => {
     // Overall stats
     const overallStats = await Steps.aggregate([
       { $match: { userId } },
-      {
-        $group: {
-          _id: null,
-          totalSteps: { $sum: '$count' },
-          avgSteps: { $avg: '$count' },
-          maxSteps: { $max: '$count' },
-          totalDays: { $sum: 1 }
-        }
-      }
+      stepsTotalsStage()
     ]);
 
     res.json({
@@ -292,7 +361,7 @@ router.get('/steps', async (req, res, next) => {
       data: {
         daily: dailySteps,
         weekly: weeklySummary.map(w => ({
-          week: w._id,
+          ...req.weeklyGrouping.label(w._id),
           total: w.totalSteps,
           avg: Math.round(w.avgSteps),
           max: w.maxSteps,
@@ -321,12 +390,13 @@ router.get('/steps', async (req, res, next) => {
 });
 
 // @route   GET /api/analytics/workouts
-// @desc    Get workout analytics
+// @desc    Get workout analytics (?groupBy=week|phase for the weekly summary)
 // @access  Private
-router.get('/workouts', async (req, res, next) => {
+router.get('/workouts', requireScope('analytics:read'), resolveWeeklyGrouping, async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
     const userId = req.user._id;
+    const timezone = getUserTimezone(req.user);
 
     let dateFilter = {};
     const now = new Date();
@@ -347,9 +417,10 @@ router.get('/workouts', async (req, res, next) => {
     // Weekly workout count
     const weeklySummary = await Workout.aggregate([
       { $match: matchQuery },
+      { $match: req.weeklyGrouping.match },
       {
         $group: {
-          _id: '$week',
+          _id: req.weeklyGrouping.key,
           totalWorkouts: { $sum: 1 },
           totalDuration: { $sum: '$duration' },
           totalCalories: { $sum: '$caloriesBurned' },
@@ -381,7 +452,7 @@ router.get('/workouts', async (req, res, next) => {
       { $match: matchQuery },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m', date: '$date', timezone } },
           totalWorkouts: { $sum: 1 },
           totalDuration: { $sum: '$duration' },
           totalCalories: { $sum: '$caloriesBurned' }
@@ -393,22 +464,14 @@ router.get('/workouts', async (req, res, next) => {
     // Overall stats
     const overallStats = await Workout.aggregate([
       { $match: { userId } },
-      {
-        $group: {
-          _id: null,
-          totalWorkouts: { $sum: 1 },
-          totalDuration: { $sum: '$duration' },
-          totalCalories: { $sum: '$caloriesBurned' },
-          avgDuration: { $avg: '$duration' }
-        }
-      }
+      workoutTotalsStage()
     ]);
 
     res.json({
       success: true,
       data: {
         weekly: weeklySummary.map(w => ({
-          week: w._id,
+          ...req.weeklyGrouping.label(w._id),
           workouts: w.totalWorkouts,
           duration: w.totalDuration || 0,
           calories: w.totalCalories || 0,
@@ -441,12 +504,13 @@ router.get('/workouts', async (req, res, next) => {
 });
 
 // @route   GET /api/analytics/meals
-// @desc    Get meal/nutrition analytics
+// @desc    Get meal/nutrition analytics (?groupBy=week|phase for the weekly summary)
 // @access  Private
-router.get('/meals', async (req, res, next) => {
+router.get('/meals', requireScope('analytics:read'), resolveWeeklyGrouping, async (req, res, next) => {
   try {
     const { period = 'month' } = req.query;
     const userId = req.user._id;
+    const timezone = getUserTimezone(req.user);
 
     let dateFilter = {};
     const now = new Date();
@@ -468,7 +532,7 @@ router.get('/meals', async (req, res, next) => {
       { $unwind: '$items' },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
           totalCalories: { $sum: '$items.calories' },
           totalProtein: { $sum: '$items.protein' },
           totalCarbs: { $sum: '$items.carbs' },
@@ -482,10 +546,11 @@ router.get('/meals', async (req, res, next) => {
     // Weekly averages
     const weeklyAvg = await Meal.aggregate([
       { $match: matchQuery },
+      { $match: req.weeklyGrouping.match },
       { $unwind: '$items' },
       {
         $group: {
-          _id: '$week',
+          _id: req.weeklyGrouping.key,
           avgCalories: { $avg: '$items.calories' },
           avgProtein: { $avg: '$items.protein' },
           avgCarbs: { $avg: '$items.carbs' },
@@ -514,7 +579,7 @@ router.get('/meals', async (req, res, next) => {
       { $unwind: '$items' },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
           dailyCalories: { $sum: '$items.calories' },
           dailyProtein: { $sum: '$items.protein' },
           dailyCarbs: { $sum: '$items.carbs' },
@@ -545,7 +610,7 @@ router.get('/meals', async (req, res, next) => {
           meals: d.mealCount
         })),
         weekly: weeklyAvg.map(w => ({
-          week: w._id,
+          ...req.weeklyGrouping.label(w._id),
           avgCalories: Math.round(w.avgCalories),
           avgProtein: Math.round(w.avgProtein),
           avgCarbs: Math.round(w.avgCarbs),
@@ -573,7 +638,7 @@ router.get('/meals', async (req, res, next) => {
 // @route   GET /api/analytics/export
 // @desc    Export analytics data
 // @access  Private
-router.get('/export', async (req, res, next) => {
+router.get('/export', requireScope('analytics:read'), async (req, res, next) => {
   try {
     const { type = 'all', format = 'json' } = req.query;
     const userId = req.user._id;
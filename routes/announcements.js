@@ -0,0 +1,116 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Announcement from '../models/Announcement.js';
+import AnnouncementRead from '../models/AnnouncementRead.js';
+import Plan from '../models/Plan.js';
+import { protect, requireSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require a user login
+router.use(protect, requireSession);
+
+// Live announcements targeting the current user, optionally narrowed by `filter`
+const findVisibleAnnouncements = async (user, filter = {}) => {
+  const plan = await Plan.findOne({ userId: user._id }).sort({ createdAt: -1 }).select('status');
+
+  return Announcement.visibleTo({ role: user.role, planStatus: plan?.status || 'none' })
+    .where(filter)
+    .select('title body startsAt endsAt createdAt')
+    .sort({ startsAt: -1 });
+};
+
+// Mark announcements read, ignoring ones already read
+const markRead = async (userId, announcementIds) => {
+  if (announcementIds.length === 0) {
+    return;
+  }
+
+  await AnnouncementRead.bulkWrite(announcementIds.map(announcementId => ({
+    updateOne: {
+      filter: { userId, announcementId },
+      update: { $setOnInsert: { readAt: new Date() } },
+      upsert: true
+    }
+  })));
+};
+
+// @route   GET /api/announcements
+// @desc    Get unread announcements for the current user (?markRead=true marks them read)
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const announcements = await findVisibleAnnouncements(req.user);
+
+    const reads = await AnnouncementRead.find({
+      userId: req.user._id,
+      announcementId: { $in: announcements.map(announcement => announcement._id) }
+    }).select('announcementId');
+    const readIds = new Set(reads.map(read => read.announcementId.toString()));
+
+    const unread = announcements.filter(announcement => !readIds.has(announcement._id.toString()));
+
+    if (req.query.markRead === 'true') {
+      await markRead(req.user._id, unread.map(announcement => announcement._id));
+    }
+
+    res.json({
+      success: true,
+      data: unread
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/announcements/read-all
+// @desc    Mark every visible announcement as read
+// @access  Private
+router.post('/read-all', async (req, res, next) => {
+  try {
+    const announcements = await findVisibleAnnouncements(req.user);
+
+    await markRead(req.user._id, announcements.map(announcement => announcement._id));
+
+    res.json({
+      success: true,
+      message: 'All announcements marked as read'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/announcements/:id/read
+// @desc    Mark an announcement as read
+// @access  Private
+router.post('/:id/read', async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    const [announcement] = await findVisibleAnnouncements(req.user, { _id: req.params.id });
+
+    if (!announcement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Announcement not found'
+      });
+    }
+
+    await markRead(req.user._id, [announcement._id]);
+
+    res.json({
+      success: true,
+      message: 'Announcement marked as read'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import express from 'express';
+import ApiKey, { API_KEY_SCOPES, API_KEY_PREFIX } from '../models/ApiKey.js';
+import { protect, requireSession } from '../middleware/auth.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+
+const router = express.Router();
+
+// All routes require a user login - API keys can't manage API keys
+router.use(protect, requireSession);
+
+// Shape returned to clients - never includes the hash
+const formatApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+// @route   GET /api/auth/api-keys/scopes
+// @desc    List scopes that can be granted to an API key
+// @access  Private
+router.get('/scopes', (req, res) => {
+  res.json({
+    success: true,
+    data: API_KEY_SCOPES
+  });
+});
+
+// @route   POST /api/auth/api-keys
+// @desc    Create an API key - the key is only returned in this response
+// @access  Private
+router.post('/', async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a name and at least one scope'
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(', ')}`
+      });
+    }
+
+    const expiryDate = expiresAt ? new Date(expiresAt) : null;
+    if (expiryDate && !(expiryDate > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    const rawKey = `${API_KEY_PREFIX}${generateRandomToken(32)}`;
+
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name,
+      prefix: rawKey.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashToken(rawKey),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiryDate
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Copy this key now - it will not be shown again',
+      data: {
+        ...formatApiKey(apiKey),
+        key: rawKey
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys.map(formatApiKey)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,9 +1,273 @@
 import express from 'express';
 import User from '../models/User.js';
-import { protect, generateToken } from '../middleware/auth.js';
+import Session from '../models/Session.js';
+import Settings from '../models/Settings.js';
+import {
+  protect,
+  requireSession,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  verifyImpersonationToken
+} from '../middleware/auth.js';
+import { startSession, rotateSession, revokeUserSessions } from '../services/sessions.js';
+import { sendVerificationEmail, sendPasswordResetEmail, sendEmailChangeEmail } from '../services/emails.js';
+import { hashToken } from '../utils/tokens.js';
+import { getClientIp, getCookie } from '../utils/request.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { createAuthorizationUrl, completeAuthorization, resolveUser } from '../services/oidc.js';
+import getOidcConfig from '../config/oidc.js';
+import ErasureRequest from '../models/ErasureRequest.js';
+import { requestErasure, cancelErasure } from '../services/erasure.js';
+import Impersonation from '../models/Impersonation.js';
+import { endImpersonation } from '../services/impersonation.js';
+import {
+  checkIpThrottle,
+  releaseIpAttempt,
+  checkAccountThrottle,
+  recordAccountFailure
+} from '../services/loginThrottle.js';
 
 const router = express.Router();
 
+// Profile fields users may edit themselves
+const PROFILE_FIELDS = ['heightCm', 'dateOfBirth', 'sex', 'activityLevel', 'weightUnit', 'distanceUnit', 'timezone'];
+
+const formatProfile = (user) => ({
+  ...(user.profile?.toObject ? user.profile.toObject() : user.profile),
+  age: user.age
+});
+
+// How recently an SSO user must have signed in to confirm account deletion
+const FRESH_SESSION_MS = 10 * 60 * 1000;
+
+// Cookie tying an SSO login to the browser that started it
+const OIDC_BINDING_COOKIE = 'oidc_login';
+
+// The frontend and API are on different sites in production, so the cookie
+// must be SameSite=None (and therefore Secure) to reach the callback
+const getOidcBindingCookieOptions = () => {
+  const production = process.env.NODE_ENV === 'production';
+  return {
+    httpOnly: true,
+    secure: production,
+    sameSite: production ? 'none' : 'lax',
+    path: '/api/auth/oidc'
+  };
+};
+
+const ACCOUNT_LOCKED_MESSAGE = 'Account is temporarily locked due to too many failed attempts';
+
+// Reply 429 with a Retry-After header
+const sendThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: throttle.locked
+      ? ACCOUNT_LOCKED_MESSAGE
+      : `Too many login attempts. Please try again in ${throttle.retryAfter} seconds.`,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Audit a failed login - anonymous, but targeting the account when known
+const auditLoginFailure = (req, { user, email, reason, ...extra }) => {
+  return recordAuditEvent(req, 'auth.login.failure', {
+    actor: null,
+    target: user,
+    metadata: { email: user?.email || email, reason, ...extra }
+  });
+};
+
+// Record a failed attempt against the account, if known. The IP already
+// counted the attempt when it was throttle-checked.
+const recordLoginFailure = async (req, { user, email, reason }) => {
+  let locked = false;
+  if (user) {
+    const updated = await recordAccountFailure(user);
+    locked = updated?.isLocked() || false;
+  }
+
+  await auditLoginFailure(req, { user, email, reason, locked });
+  return locked;
+};
+
+// Start a session and send the standard login response
+const sendLoginResponse = async (user, req, res, { method, ...details }) => {
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await user.resetFailedLogins();
+  }
+
+  const { token, refreshToken } = await startSession(user, req);
+  await recordAuditEvent(req, 'auth.login.success', {
+    actor: user,
+    target: user,
+    metadata: { method, ...details }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      token,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        twoFactorEnabled: user.twoFactor?.enabled || false
+      }
+    }
+  });
+};
+
+// @route   POST /api/auth/register
+// @desc    Self-service registration, pending email verification
+// @access  Public
+router.post('/register', async (req, res, next) => {
+  try {
+    const { email, password, name } = req.body;
+
+    if (!email || !password || !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email, password, and name'
+      });
+    }
+
+    const settings = await Settings.getSettings();
+    if (!settings.isRegistrationAllowed(email)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is not available for this email address'
+      });
+    }
+
+    let user = await User.findOne({ email }).select('+emailVerificationExpires');
+
+    if (user && user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    if (!user) {
+      user = new User({
+        email,
+        password,
+        name,
+        role: 'user',
+        isEmailVerified: false
+      });
+    } else if (!(user.emailVerificationExpires > new Date())) {
+      // Pending account whose link has expired - the new details replace it.
+      // While the link is live the credentials are never changed from an
+      // anonymous request; the owner just gets a fresh link.
+      user.name = name;
+      user.password = password;
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.status(201).json({
+      success: true,
+      message: 'Registration successful. Please check your email to verify your account.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm email address with verification token
+// @access  Public
+router.post('/verify-email', async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a verification token'
+      });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or expired'
+      });
+    }
+
+    // A confirmed address change replaces the old address
+    const changedEmail = user.pendingEmail;
+    if (changedEmail) {
+      const taken = await User.exists({ email: changedEmail, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({
+          success: false,
+          message: 'Email already in use'
+        });
+      }
+      user.email = changedEmail;
+      user.pendingEmail = undefined;
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: changedEmail
+        ? 'Email address changed successfully.'
+        : 'Email verified successfully. You can now log in.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the verification email
+// @access  Public
+router.post('/resend-verification', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email, isEmailVerified: false });
+
+    if (user) {
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendVerificationEmail(user, verificationToken);
+    }
+
+    // Same response either way so this can't be used to probe accounts
+    res.json({
+      success: true,
+      message: 'If the account is pending verification, a new email has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -19,18 +283,35 @@ router.post('/login', async (req, res, next) => {
       });
     }
 
+    const ip = getClientIp(req);
+    const ipThrottle = await checkIpThrottle(ip);
+    if (!ipThrottle.allowed) {
+      return sendThrottled(res, ipThrottle);
+    }
+
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
 
-    if (!user) {
+    // Trashed accounts are treated as unknown until an admin restores them
+    if (!user || user.deletedAt) {
+      await recordLoginFailure(req, { email, reason: user ? 'deleted' : 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
+    const accountThrottle = checkAccountThrottle(user);
+    if (!accountThrottle.allowed) {
+      if (accountThrottle.locked) {
+        await auditLoginFailure(req, { user, reason: 'locked' });
+      }
+      return sendThrottled(res, accountThrottle);
+    }
+
     // Check if user is active
     if (!user.isActive) {
+      await auditLoginFailure(req, { user, reason: 'deactivated' });
       return res.status(401).json({
         success: false,
         message: 'Account is deactivated. Please contact admin.'
@@ -41,25 +322,411 @@ router.post('/login', async (req, res, next) => {
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      const locked = await recordLoginFailure(req, { user, reason: 'invalid_password' });
+      return res.status(401).json({
+        success: false,
+        message: locked ? ACCOUNT_LOCKED_MESSAGE : 'Invalid credentials'
+      });
+    }
+
+    await releaseIpAttempt(ip);
+
+    if (!user.isEmailVerified) {
+      await auditLoginFailure(req, { user, reason: 'email_not_verified' });
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email before logging in'
+      });
+    }
+
+    // Second factor required - hand back a short-lived challenge instead of a session
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
+        }
+      });
+    }
+
+    await sendLoginResponse(user, req, res, { method: 'password' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token and authentication code'
+      });
+    }
+
+    const ip = getClientIp(req);
+    const ipThrottle = await checkIpThrottle(ip);
+    if (!ipThrottle.allowed) {
+      return sendThrottled(res, ipThrottle);
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or expired. Please log in again.'
+      });
+    }
+
+    const user = await User.findById(userId)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.isActive || user.deletedAt || !user.twoFactor.enabled) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    const accountThrottle = checkAccountThrottle(user);
+    if (!accountThrottle.allowed) {
+      return sendThrottled(res, accountThrottle);
+    }
+
+    const verified = code
+      ? user.verifyTwoFactorCode(code)
+      : user.useRecoveryCode(recoveryCode);
+
+    if (!verified) {
+      await recordLoginFailure(req, { user, reason: 'invalid_second_factor' });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.save();
+    await releaseIpAttempt(ip);
+    await sendLoginResponse(user, req, res, { method: code ? 'totp' : 'recovery_code' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/oidc
+// @desc    Tell the frontend whether single sign-on is available
+// @access  Public
+router.get('/oidc', (req, res) => {
+  const config = getOidcConfig();
+
+  res.json({
+    success: true,
+    data: {
+      enabled: Boolean(config),
+      issuer: config?.issuer || null
+    }
+  });
+});
+
+// @route   GET /api/auth/oidc/authorize
+// @desc    Start SSO login (authorization code + PKCE). Sets the login binding
+//          cookie, so SPAs must call this with credentials included.
+// @access  Public
+router.get('/oidc/authorize', async (req, res, next) => {
+  try {
+    const { authorizationUrl, state, binding, expiresAt } = await createAuthorizationUrl();
+
+    res.cookie(OIDC_BINDING_COOKIE, binding, { ...getOidcBindingCookieOptions(), expires: expiresAt });
+
+    // Browsers can be sent straight to the IdP; SPAs can ask for JSON
+    if (req.query.redirect === 'true') {
+      return res.redirect(authorizationUrl);
+    }
 
     res.json({
       success: true,
       data: {
-        token,
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
+        authorizationUrl,
+        state
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/oidc/callback
+// @desc    Complete SSO login with the code returned by the IdP
+// @access  Public
+router.post('/oidc/callback', async (req, res, next) => {
+  try {
+    const { code, state } = req.body;
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide code and state'
+      });
+    }
+
+    const binding = getCookie(req, OIDC_BINDING_COOKIE);
+    res.clearCookie(OIDC_BINDING_COOKIE, getOidcBindingCookieOptions());
+
+    let claims;
+    let result;
+    try {
+      claims = await completeAuthorization({ code, state, binding });
+      result = await resolveUser(claims);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      await auditLoginFailure(req, {
+        email: claims?.email,
+        reason: 'oidc_rejected',
+        detail: error.message
+      });
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { user, linked, provisioned } = result;
+
+    if (user.deletedAt) {
+      await auditLoginFailure(req, { user, reason: 'deleted' });
+      return res.status(401).json({
+        success: false,
+        message: 'Account has been deleted. Please contact admin.'
+      });
+    }
+
+    if (!user.isActive) {
+      await auditLoginFailure(req, { user, reason: 'deactivated' });
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact admin.'
+      });
+    }
+
+    // Accounts with local 2FA complete the same challenge as password logins
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user._id)
         }
+      });
+    }
+
+    await sendLoginResponse(user, req, res, {
+      method: 'oidc',
+      ...(linked && { linked }),
+      ...(provisioned && { provisioned })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email, isActive: true, deletedAt: null });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user, resetToken);
+    }
+
+    // Same response either way so this can't be used to probe accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide reset token and new password'
+      });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be at least 6 characters'
+      });
+    }
+
+    // Clear the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or expired'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    await revokeUserSessions(user._id, 'password_reset');
+    await recordAuditEvent(req, 'auth.password.reset', { actor: user, target: user });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const tokens = await rotateSession(refreshToken, req);
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or expired'
+      });
+    }
+
+    const user = await User.findById(tokens.session.userId);
+
+    if (!user || !user.isActive || user.deletedAt) {
+      await revokeUserSessions(tokens.session.userId, 'account_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated. Please contact admin.'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session
+// @access  Private
+router.post('/logout', protect, requireSession, async (req, res, next) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'logout';
+    await req.authSession.save();
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/impersonation/end
+// @desc    End the impersonation the bearer token belongs to
+// @access  Impersonation token
+router.post('/impersonation/end', async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.startsWith('Bearer')
+      ? req.headers.authorization.split(' ')[1]
+      : null;
+    const impersonationId = token ? verifyImpersonationToken(token) : null;
+    const impersonation = impersonationId ? await Impersonation.findById(impersonationId) : null;
+
+    if (!impersonation) {
+      return res.status(401).json({
+        success: false,
+        message: 'A valid impersonation token is required'
+      });
+    }
+
+    const impersonator = await User.findById(impersonation.adminId);
+    await endImpersonation(req, impersonation, { actor: impersonator });
+
+    res.json({
+      success: true,
+      message: 'Impersonation ended'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session for the current user
+// @access  Private
+router.post('/logout-all', protect, requireSession, async (req, res, next) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: {
+        revoked: result.modifiedCount
       }
     });
   } catch (error) {
@@ -67,6 +734,61 @@ router.post('/login', async (req, res, next) => {
   }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List active sessions for the current user
+// @access  Private
+router.get('/sessions', protect, requireSession, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.authSession._id)
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a specific session (sign out a device)
+// @access  Private
+router.delete('/sessions/:id', protect, requireSession, async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked_by_user' },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current logged in user
 // @access  Private
@@ -80,7 +802,9 @@ router.get('/me', protect, async (req, res, next) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        pendingEmail: user.pendingEmail || null,
         role: user.role,
+        profile: formatProfile(user),
         createdAt: user.createdAt
       }
     });
@@ -89,10 +813,145 @@ router.get('/me', protect, async (req, res, next) => {
   }
 });
 
+// @route   DELETE /api/auth/me
+// @desc    Request erasure of own account after a grace period
+// @access  Private
+router.delete('/me', protect, requireSession, async (req, res, next) => {
+  try {
+    const { password, mode = 'hard' } = req.body;
+
+    if (!['hard', 'anonymize'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Mode must be hard or anonymize'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    // SSO accounts never chose a password, so a recent sign-in stands in for it
+    const sessionAge = Date.now() - req.authSession.createdAt.getTime();
+    const freshSsoSession = Boolean(user.oidc?.subject) && sessionAge <= FRESH_SESSION_MS;
+
+    if (!freshSsoSession) {
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: user.oidc?.subject
+            ? 'Please sign in again to confirm account deletion'
+            : 'Please confirm your password'
+        });
+      }
+
+      const isMatch = await user.comparePassword(password);
+      if (!isMatch) {
+        return res.status(401).json({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+    }
+
+    const erasure = await requestErasure({
+      user,
+      mode,
+      source: 'self',
+      requestedBy: user
+    });
+
+    await recordAuditEvent(req, 'user.erasure.request', {
+      target: user,
+      metadata: { requestId: erasure._id, mode, scheduledFor: erasure.scheduledFor }
+    });
+
+    const messages = {
+      pending: `Your account will be deleted on ${erasure.scheduledFor.toISOString()}. You can cancel until then.`,
+      completed: 'Your account has been deleted',
+      failed: 'Account deletion failed and will need to be retried by an administrator'
+    };
+
+    res.status(erasure.status === 'pending' ? 202 : 200).json({
+      success: erasure.status !== 'failed',
+      message: messages[erasure.status],
+      data: {
+        id: erasure._id,
+        mode: erasure.mode,
+        status: erasure.status,
+        scheduledFor: erasure.scheduledFor
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Account deletion is already scheduled'
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/me/erasure
+// @desc    Get pending account deletion, if any
+// @access  Private
+router.get('/me/erasure', protect, requireSession, async (req, res, next) => {
+  try {
+    const erasure = await ErasureRequest.findOne({
+      userId: req.user._id,
+      status: 'pending'
+    });
+
+    res.json({
+      success: true,
+      data: erasure ? {
+        id: erasure._id,
+        mode: erasure.mode,
+        status: erasure.status,
+        scheduledFor: erasure.scheduledFor
+      } : null
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/me/erasure/cancel
+// @desc    Cancel a pending account deletion
+// @access  Private
+router.post('/me/erasure/cancel', protect, requireSession, async (req, res, next) => {
+  try {
+    const pending = await ErasureRequest.findOne({
+      userId: req.user._id,
+      status: 'pending'
+    });
+
+    const erasure = pending && await cancelErasure(pending._id, req.user);
+
+    if (!erasure) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending account deletion'
+      });
+    }
+
+    await recordAuditEvent(req, 'user.erasure.cancel', {
+      target: req.user,
+      metadata: { requestId: erasure._id }
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/auth/update-password
 // @desc    Update password
 // @access  Private
-router.put('/update-password', protect, async (req, res, next) => {
+router.put('/update-password', protect, requireSession, async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
@@ -124,9 +983,19 @@ router.put('/update-password', protect, async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    await recordAuditEvent(req, 'auth.password.change', { target: user });
+
+    // Sign out every device, then give the caller a fresh session
+    await revokeUserSessions(user._id, 'password_changed');
+    const { token, refreshToken } = await startSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     next(error);
@@ -134,24 +1003,40 @@ router.put('/update-password', protect, async (req, res, next) => {
 });
 
 // @route   PUT /api/auth/update-profile
-// @desc    Update user profile
+// @desc    Update user profile, including health profile and preferences
 // @access  Private
-router.put('/update-profile', protect, async (req, res, next) => {
+router.put('/update-profile', protect, requireSession, async (req, res, next) => {
   try {
-    const { name, email } = req.body;
+    const { name, email, profile } = req.body;
 
     const updateFields = {};
     if (name) updateFields.name = name;
-    if (email) {
+    if (profile) {
+      PROFILE_FIELDS.forEach(field => {
+        if (profile[field] !== undefined) {
+          updateFields[`profile.${field}`] = profile[field];
+        }
+      });
+    }
+    if (email !== undefined && typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email must be text'
+      });
+    }
+
+    // A new email is held as pending until the new address confirms it
+    const newEmail = email?.toLowerCase().trim();
+    const changingEmail = Boolean(newEmail) && newEmail !== req.user.email;
+    if (changingEmail) {
       // Check if email is already taken
-      const existingUser = await User.findOne({ email, _id: { $ne: req.user._id } });
+      const existingUser = await User.findOne({ email: newEmail, _id: { $ne: req.user._id } });
       if (existingUser) {
         return res.status(400).json({
           success: false,
           message: 'Email already in use'
         });
       }
-      updateFields.email = email;
     }
 
     const user = await User.findByIdAndUpdate(
@@ -160,13 +1045,23 @@ router.put('/update-profile', protect, async (req, res, next) => {
       { new: true, runValidators: true }
     );
 
+    if (changingEmail) {
+      user.pendingEmail = newEmail;
+      const verificationToken = user.createEmailVerificationToken();
+      await user.save();
+      await sendEmailChangeEmail(user, verificationToken);
+    }
+
     res.json({
       success: true,
+      ...(changingEmail && { message: `Check ${newEmail} for a link to confirm your new email address.` }),
       data: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        pendingEmail: user.pendingEmail || null,
+        role: user.role,
+        profile: formatProfile(user)
       }
     });
   } catch (error) {
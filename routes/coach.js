@@ -0,0 +1,120 @@
+import express from 'express';
+import CoachAssignment from '../models/CoachAssignment.js';
+import Plan from '../models/Plan.js';
+import Group from '../models/Group.js';
+import { protect, requireSession, coach } from '../middleware/auth.js';
+import { getGroupRollup } from '../services/groups.js';
+import { getDisplayUnits } from '../utils/units.js';
+
+const router = express.Router();
+
+// All routes require authentication and coach role
+router.use(protect, requireSession, coach);
+
+// @route   GET /api/coach/clients
+// @desc    List clients assigned to the current coach
+// @access  Coach
+router.get('/clients', async (req, res, next) => {
+  try {
+    // Trashed clients keep their assignment so a restore brings them back
+    const assignments = await CoachAssignment.find({ coachId: req.user._id })
+      .populate({ path: 'clientId', select: 'name email isActive', match: { deletedAt: null } })
+      .sort({ createdAt: -1 });
+
+    const clientIds = assignments.map(assignment => assignment.clientId?._id).filter(Boolean);
+    const plans = await Plan.find({
+      userId: { $in: clientIds },
+      status: { $in: ['active', 'paused'] }
+    });
+
+    const clients = assignments
+      .filter(assignment => assignment.clientId)
+      .map(assignment => {
+        const plan = plans.find(p => p.userId.equals(assignment.clientId._id));
+        return {
+          id: assignment.clientId._id,
+          name: assignment.clientId.name,
+          email: assignment.clientId.email,
+          isActive: assignment.clientId.isActive,
+          access: assignment.access,
+          activePlan: plan ? {
+            status: plan.status,
+            currentWeek: plan.calculateCurrentWeek(),
+            totalWeeks: plan.numberOfWeeks
+          } : null
+        };
+      });
+
+    res.json({
+      success: true,
+      data: clients
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/coach/groups
+// @desc    List groups owned by the current coach
+// @access  Coach
+router.get('/groups', async (req, res, next) => {
+  try {
+    const groups = await Group.find({ ownerId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: groups.map(group => ({
+        id: group._id,
+        name: group.name,
+        description: group.description,
+        startDate: group.startDate,
+        endDate: group.endDate,
+        memberCount: group.members.length
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/coach/groups/:id/rollup
+// @desc    Member rollup for a group owned by the current coach, limited to
+//          members assigned to the coach
+// @access  Coach
+router.get('/groups/:id/rollup', async (req, res, next) => {
+  try {
+    const group = await Group.findOne({ _id: req.params.id, ownerId: req.user._id });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    // Owning a group does not grant access to its members - only clients
+    // the coach is assigned to (with read access) are included
+    const assignments = await CoachAssignment.find({
+      coachId: req.user._id,
+      clientId: { $in: group.members.map(member => member.userId) }
+    });
+    const visibleTo = assignments
+      .filter(assignment => assignment.allows('read'))
+      .map(assignment => assignment.clientId);
+
+    const { weightUnit } = getDisplayUnits(req);
+    const rollup = await getGroupRollup(group, { weightUnit, visibleTo });
+
+    res.json({
+      success: true,
+      data: {
+        group: { id: group._id, name: group.name },
+        ...rollup
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import express from 'express';
+import { cronAuth } from '../middleware/auth.js';
+import { runPlanLifecycle } from '../services/planLifecycle.js';
+import { processDueErasures } from '../services/erasure.js';
+import { purgeTrashedUsers } from '../services/trash.js';
+
+const router = express.Router();
+
+// Scheduled jobs (see "crons" in vercel.json)
+router.use(cronAuth);
+
+// @route   GET /api/cron/plan-lifecycle
+// @desc    Complete expired plans and resume plans paused past the limit
+// @access  Cron
+router.get('/plan-lifecycle', async (req, res, next) => {
+  try {
+    const summary = await runPlanLifecycle();
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cron/erasures
+// @desc    Erase accounts whose deletion grace period has ended
+// @access  Cron
+router.get('/erasures', async (req, res, next) => {
+  try {
+    const processed = await processDueErasures();
+
+    res.json({
+      success: true,
+      data: {
+        processed: processed.length,
+        failed: processed.filter(request => request.status === 'failed').length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/cron/trash-purge
+// @desc    Permanently delete users kept in the trash past the retention period
+// @access  Cron
+router.get('/trash-purge', async (req, res, next) => {
+  try {
+    const purged = await purgeTrashedUsers();
+
+    res.json({
+      success: true,
+      data: {
+        purged: purged.filter(result => !result.error).length,
+        failed: purged.filter(result => result.error).length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import Group from '../models/Group.js';
+import { protect, requireSession } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require a user login
+router.use(protect, requireSession);
+
+// @route   GET /api/groups
+// @desc    Get the groups the current user belongs to
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const groups = await Group.find({ 'members.userId': req.user._id })
+      .populate('ownerId', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: groups.map(group => ({
+        id: group._id,
+        name: group.name,
+        description: group.description,
+        owner: group.ownerId ? { name: group.ownerId.name } : null,
+        startDate: group.startDate,
+        endDate: group.endDate,
+        memberCount: group.members.length,
+        joinedAt: group.members.find(member => member.userId.equals(req.user._id))?.joinedAt
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,12 +1,13 @@
 import express from 'express';
 import Meal from '../models/Meal.js';
 import Plan from '../models/Plan.js';
-import { protect } from '../middleware/auth.js';
+import { protect, delegate, requireScope } from '../middleware/auth.js';
+import { getUserTimezone, getDayWindow, parseDateInput, toRangeQuery } from '../utils/dateWindow.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; coaches may act on clients via ?asUser=
+router.use(protect, delegate);
 
 // Meal type labels for display
 const MEAL_TYPE_LABELS = {
@@ -22,7 +23,7 @@ const MEAL_TYPE_LABELS = {
 // @route   POST /api/meals
 // @desc    Add meal
 // @access  Private
-router.post('/', async (req, res, next) => {
+router.post('/', requireScope('meals:write'), async (req, res, next) => {
   try {
     const { mealType, items, notes, date, week } = req.body;
 
@@ -46,7 +47,7 @@ router.post('/', async (req, res, next) => {
       mealType,
       items,
       notes,
-      date: date ? new Date(date) : new Date(),
+      date: date ? parseDateInput(date, getUserTimezone(req.user)) : new Date(),
       week: entryWeek
     });
 
@@ -62,7 +63,7 @@ router.post('/', async (req, res, next) => {
 // @route   GET /api/meals
 // @desc    Get all meals
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope('meals:read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 50, startDate, endDate, week, mealType } = req.query;
 
@@ -109,15 +110,14 @@ router.get('/', async (req, res, next) => {
 // @route   GET /api/meals/date/:date
 // @desc    Get meals for a specific date
 // @access  Private
-router.get('/date/:date', async (req, res, next) => {
+router.get('/date/:date', requireScope('meals:read'), async (req, res, next) => {
   try {
-    const date = new Date(req.params.date);
-    const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+    const timezone = getUserTimezone(req.user);
+    const dayWindow = getDayWindow(parseDateInput(req.params.date, timezone), timezone);
 
     const meals = await Meal.find({
       userId: req.user._id,
-      date: { $gte: startOfDay, $lte: endOfDay }
+      date: toRangeQuery(dayWindow)
     }).sort({ createdAt: 1 });
 
     // Group by meal type
@@ -157,7 +157,7 @@ router.get('/date/:date', async (req, res, next) => {
 // @route   GET /api/meals/summary
 // @desc    Get daily/weekly meal summary
 // @access  Private
-router.get('/summary', async (req, res, next) => {
+router.get('/summary', requireScope('meals:read'), async (req, res, next) => {
   try {
     const { type = 'daily', startDate, endDate } = req.query;
 
@@ -205,7 +205,7 @@ router.get('/summary', async (req, res, next) => {
       { $unwind: '$items' },
       {
         $group: {
-          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone: getUserTimezone(req.user) } },
           totalCalories: { $sum: '$items.calories' },
           totalProtein: { $sum: '$items.protein' },
           totalCarbs: { $sum: '$items.carbs' },
@@ -236,15 +236,13 @@ router.get('/summary', async (req, res, next) => {
 // @route   GET /api/meals/today
 // @desc    Get today's meals
 // @access  Private
-router.get('/today', async (req, res, next) => {
+router.get('/today', requireScope('meals:read'), async (req, res, next) => {
   try {
-    const today = new Date();
-    const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(today.setHours(23, 59, 59, 999));
+    const today = getDayWindow(new Date(), getUserTimezone(req.user));
 
     const meals = await Meal.find({
       userId: req.user._id,
-      date: { $gte: startOfDay, $lte: endOfDay }
+      date: toRangeQuery(today)
     }).sort({ createdAt: 1 });
 
     // Calculate totals
@@ -274,7 +272,7 @@ router.get('/today', async (req, res, next) => {
 // @route   GET /api/meals/:id
 // @desc    Get single meal
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireScope('meals:read'), async (req, res, next) => {
   try {
     const meal = await Meal.findOne({
       _id: req.params.id,
@@ -300,7 +298,7 @@ router.get('/:id', async (req, res, next) => {
 // @route   PUT /api/meals/:id
 // @desc    Update meal
 // @access  Private
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireScope('meals:write'), async (req, res, next) => {
   try {
     const { mealType, items, notes, date, week } = req.body;
 
@@ -308,7 +306,7 @@ router.put('/:id', async (req, res, next) => {
     if (mealType !== undefined) updateFields.mealType = mealType;
     if (items !== undefined) updateFields.items = items;
     if (notes !== undefined) updateFields.notes = notes;
-    if (date !== undefined) updateFields.date = new Date(date);
+    if (date !== undefined) updateFields.date = parseDateInput(date, getUserTimezone(req.user));
     if (week !== undefined) updateFields.week = week;
 
     const meal = await Meal.findOneAndUpdate(
@@ -336,7 +334,7 @@ router.put('/:id', async (req, res, next) => {
 // @route   POST /api/meals/:id/item
 // @desc    Add item to meal
 // @access  Private
-router.post('/:id/item', async (req, res, next) => {
+router.post('/:id/item', requireScope('meals:write'), async (req, res, next) => {
   try {
     const { name, quantity, calories, protein, carbs, fats } = req.body;
 
@@ -367,7 +365,7 @@ router.post('/:id/item', async (req, res, next) => {
 // @route   DELETE /api/meals/:id/item/:itemId
 // @desc    Remove item from meal
 // @access  Private
-router.delete('/:id/item/:itemId', async (req, res, next) => {
+router.delete('/:id/item/:itemId', requireScope('meals:write'), async (req, res, next) => {
   try {
     const meal = await Meal.findOne({
       _id: req.params.id,
@@ -396,7 +394,7 @@ router.delete('/:id/item/:itemId', async (req, res, next) => {
 // @route   DELETE /api/meals/:id
 // @desc    Delete meal
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireScope('meals:write'), async (req, res, next) => {
   try {
     const meal = await Meal.findOneAndDelete({
       _id: req.params.id,
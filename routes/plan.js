@@ -1,29 +1,61 @@
 import express from 'express';
 import Plan from '../models/Plan.js';
-import { protect } from '../middleware/auth.js';
+import PlanTemplate from '../models/PlanTemplate.js';
+import PlanRevision from '../models/PlanRevision.js';
+import PlanEvent from '../models/PlanEvent.js';
+import { protect, delegate, requireScope } from '../middleware/auth.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { snapshotTargets, recordPlanRevision, diffTargets } from '../services/planRevisions.js';
+import { recordPlanEvent, completePlanIfExpired, resumePlan } from '../services/planLifecycle.js';
+import { getUserTimezone, getZonedParts, parseDateInput, startOfDay } from '../utils/dateWindow.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; coaches may act on clients via ?asUser=
+router.use(protect, delegate);
+
+const findOpenPlan = (userId) => Plan.findOne({
+  userId,
+  status: { $in: ['active', 'paused'] }
+});
+
+const OPEN_PLAN_MESSAGE = 'You already have an active or paused plan. Please complete or cancel it first.';
+
+// Plan fields copied from a template or earlier plan, with request overrides.
+// Goals and macros are merged so a single value can be changed on its own;
+// phases and weekly targets are replaced as a whole.
+const buildPlanFields = (source, { numberOfWeeks, dietPlan, goals, phases, weeklyTargets }) => ({
+  numberOfWeeks: numberOfWeeks || source.numberOfWeeks,
+  dietPlan: {
+    ...source.dietPlan,
+    ...dietPlan,
+    macros: { ...source.dietPlan?.macros, ...dietPlan?.macros }
+  },
+  goals: { ...source.goals, ...goals },
+  phases: phases || source.phases || [],
+  weeklyTargets: weeklyTargets || source.weeklyTargets || []
+});
+
+// Start dates are calendar days in the user's timezone (default: today)
+const resolveStartDate = (startDate, user) => {
+  const timezone = getUserTimezone(user);
+  return startDate ? parseDateInput(startDate, timezone) : startOfDay(new Date(), timezone);
+};
 
 // @route   POST /api/plan
 // @desc    Create a new plan
 // @access  Private
-router.post('/', async (req, res, next) => {
+router.post('/', requireScope('plan:write'), async (req, res, next) => {
   try {
-    const { startDate, numberOfWeeks, dietPlan, goals } = req.body;
+    const { startDate, numberOfWeeks, dietPlan, goals, phases, weeklyTargets } = req.body;
 
     // Check for existing active plan
-    const existingPlan = await Plan.findOne({
-      userId: req.user._id,
-      status: { $in: ['active', 'paused'] }
-    });
+    const existingPlan = await findOpenPlan(req.user._id);
 
     if (existingPlan) {
       return res.status(400).json({
         success: false,
-        message: 'You already have an active or paused plan. Please complete or cancel it first.'
+        message: OPEN_PLAN_MESSAGE
       });
     }
 
@@ -32,7 +64,113 @@ router.post('/', async (req, res, next) => {
       startDate: new Date(startDate),
       numberOfWeeks,
       dietPlan: dietPlan || {},
-      goals: goals || {}
+      goals: goals || {},
+      phases: phases || [],
+      weeklyTargets: weeklyTargets || []
+    });
+
+    res.status(201).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/plan/from-template/:templateId
+// @desc    Create a plan from a template (startDate, optional numberOfWeeks/dietPlan/goals/phases/weeklyTargets overrides)
+// @access  Private
+router.post('/from-template/:templateId', requireScope('plan:write'), async (req, res, next) => {
+  try {
+    // Coaches acting for a client may use their own private templates
+    const template = await PlanTemplate.visibleTo(req.actor || req.user)
+      .where({ _id: req.params.templateId })
+      .findOne();
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    const existingPlan = await findOpenPlan(req.user._id);
+
+    if (existingPlan) {
+      return res.status(400).json({
+        success: false,
+        message: OPEN_PLAN_MESSAGE
+      });
+    }
+
+    const startDate = resolveStartDate(req.body.startDate, req.user);
+
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start date'
+      });
+    }
+
+    const plan = await Plan.create({
+      userId: req.user._id,
+      startDate,
+      ...buildPlanFields(template.toObject(), req.body),
+      templateId: template._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/plan/clone
+// @desc    Start a new plan from a previous one (planId, default: the latest plan)
+// @access  Private
+router.post('/clone', requireScope('plan:write'), async (req, res, next) => {
+  try {
+    const { planId } = req.body;
+
+    const source = planId
+      ? await Plan.findOne({ _id: planId, userId: req.user._id })
+      : await Plan.findOne({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: planId ? 'Plan not found' : 'No previous plan to clone'
+      });
+    }
+
+    const existingPlan = await findOpenPlan(req.user._id);
+
+    if (existingPlan) {
+      return res.status(400).json({
+        success: false,
+        message: OPEN_PLAN_MESSAGE
+      });
+    }
+
+    const startDate = resolveStartDate(req.body.startDate, req.user);
+
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start date'
+      });
+    }
+
+    const plan = await Plan.create({
+      userId: req.user._id,
+      startDate,
+      ...buildPlanFields(source.toObject(), req.body),
+      templateId: source.templateId,
+      clonedFrom: source._id
     });
 
     res.status(201).json({
@@ -45,9 +183,9 @@ router.post('/', async (req, res, next) => {
 });
 
 // @route   GET /api/plan
-// @desc    Get user's current plan
+// @desc    Get user's current plan and its active phase
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope('plan:read'), async (req, res, next) => {
   try {
     const plan = await Plan.findOne({
       userId: req.user._id,
@@ -61,20 +199,15 @@ router.get('/', async (req, res, next) => {
       });
     }
 
-    // Update current week
-    const currentWeek = plan.calculateCurrentWeek();
-
-    // Check if plan should be marked as completed
-    if (plan.status === 'active' && currentWeek > plan.numberOfWeeks) {
-      plan.status = 'completed';
-      await plan.save();
-    }
+    // Complete the plan now if the lifecycle job has not done so yet
+    await completePlanIfExpired(plan, { trigger: 'user', actor: req.impersonator || req.actor || req.user });
 
     res.json({
       success: true,
       data: {
         ...plan.toObject(),
-        currentWeek: plan.calculateCurrentWeek()
+        currentWeek: plan.calculateCurrentWeek(),
+        activePhase: plan.getPhase()
       }
     });
   } catch (error) {
@@ -85,7 +218,7 @@ router.get('/', async (req, res, next) => {
 // @route   GET /api/plan/all
 // @desc    Get all user's plans (including completed)
 // @access  Private
-router.get('/all', async (req, res, next) => {
+router.get('/all', requireScope('plan:read'), async (req, res, next) => {
   try {
     const plans = await Plan.find({ userId: req.user._id })
       .sort({ createdAt: -1 });
@@ -105,7 +238,7 @@ router.get('/all', async (req, res, next) => {
 // @route   GET /api/plan/:id
 // @desc    Get specific plan by ID
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireScope('plan:read'), async (req, res, next) => {
   try {
     const plan = await Plan.findOne({
       _id: req.params.id,
@@ -134,7 +267,7 @@ router.get('/:id', async (req, res, next) => {
 // @route   PUT /api/plan/pause
 // @desc    Pause the current plan
 // @access  Private
-router.put('/pause', async (req, res, next) => {
+router.put('/pause', requireScope('plan:write'), async (req, res, next) => {
   try {
     const plan = await Plan.findOne({
       userId: req.user._id,
@@ -153,6 +286,12 @@ router.put('/pause', async (req, res, next) => {
     plan.currentWeek = plan.calculateCurrentWeek();
     await plan.save();
 
+    await recordPlanEvent(plan, 'paused', {
+      actor: req.impersonator || req.actor || req.user,
+      now: plan.pausedAt,
+      details: { currentWeek: plan.currentWeek }
+    });
+
     res.json({
       success: true,
       message: 'Plan paused successfully',
@@ -166,7 +305,7 @@ router.put('/pause', async (req, res, next) => {
 // @route   PUT /api/plan/resume
 // @desc    Resume a paused plan
 // @access  Private
-router.put('/resume', async (req, res, next) => {
+router.put('/resume', requireScope('plan:write'), async (req, res, next) => {
   try {
     const plan = await Plan.findOne({
       userId: req.user._id,
@@ -180,21 +319,134 @@ router.put('/resume', async (req, res, next) => {
       });
     }
 
-    // Calculate days paused
-    const now = new Date();
-    const pausedDays = Math.floor((now - plan.pausedAt) / (1000 * 60 * 60 * 24));
-    plan.pausedDays += pausedDays;
+    // Paused days are added to the plan so it ends later
+    const resumed = await resumePlan(plan, { actor: req.impersonator || req.actor || req.user });
 
-    plan.status = 'active';
-    plan.pausedAt = null;
-    await plan.save();
+    if (!resumed) {
+      return res.status(404).json({
+        success: false,
+        message: 'No paused plan to resume'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Plan resumed successfully',
       data: {
-        ...plan.toObject(),
-        currentWeek: plan.calculateCurrentWeek()
+        ...resumed.toObject(),
+        currentWeek: resumed.calculateCurrentWeek()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/plan/:id/events
+// @desc    Pause, resume and completion history of a plan, newest first
+// @access  Private
+router.get('/:id/events', requireScope('plan:read'), async (req, res, next) => {
+  try {
+    const plan = await Plan.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const events = await PlanEvent.find({ planId: plan._id })
+      .populate('actorId', 'name')
+      .sort({ occurredAt: -1 });
+
+    res.json({
+      success: true,
+      data: events
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/plan/:id/revisions
+// @desc    Diet, goal, phase and weekly target revisions of a plan, newest first
+// @access  Private
+router.get('/:id/revisions', requireScope('plan:read'), async (req, res, next) => {
+  try {
+    const plan = await Plan.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const revisions = await PlanRevision.find({ planId: plan._id })
+      .populate('authorId', 'name')
+      .sort({ revision: -1 });
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/plan/:id/revisions/diff
+// @desc    Changes between two revisions (?from=&to=, default: latest vs the one before)
+// @access  Private
+router.get('/:id/revisions/diff', requireScope('plan:read'), async (req, res, next) => {
+  try {
+    const plan = await Plan.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Plan not found'
+      });
+    }
+
+    const latest = await PlanRevision.findOne({ planId: plan._id }).sort({ revision: -1 });
+    const to = parseInt(req.query.to) || latest?.revision;
+    const from = parseInt(req.query.from) || to - 1;
+
+    const revisions = await PlanRevision.find({ planId: plan._id, revision: { $in: [from, to] } });
+    const fromRevision = revisions.find(revision => revision.revision === from);
+    const toRevision = revisions.find(revision => revision.revision === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: latest ? 'Revision not found' : 'This plan has no revisions yet'
+      });
+    }
+
+    const describe = (revision) => ({
+      revision: revision.revision,
+      effectiveFrom: revision.effectiveFrom,
+      authorId: revision.authorId,
+      createdAt: revision.createdAt
+    });
+
+    res.json({
+      success: true,
+      data: {
+        from: describe(fromRevision),
+        to: describe(toRevision),
+        changes: diffTargets(snapshotTargets(fromRevision), snapshotTargets(toRevision))
       }
     });
   } catch (error) {
@@ -203,11 +455,12 @@ router.put('/resume', async (req, res, next) => {
 });
 
 // @route   PUT /api/plan/:id
-// @desc    Update plan details
+// @desc    Update plan details. Diet, goal, phase and weekly target changes are kept as revisions,
+//          effective now or from a backdated effectiveFrom
 // @access  Private
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireScope('plan:write'), async (req, res, next) => {
   try {
-    const { dietPlan, goals, numberOfWeeks } = req.body;
+    const { dietPlan, goals, phases, weeklyTargets, numberOfWeeks, effectiveFrom, note } = req.body;
 
     const plan = await Plan.findOne({
       _id: req.params.id,
@@ -221,19 +474,32 @@ router.put('/:id', async (req, res, next) => {
       });
     }
 
+    const before = snapshotTargets(plan);
+
     if (dietPlan) plan.dietPlan = dietPlan;
     if (goals) plan.goals = { ...plan.goals, ...goals };
+    if (phases) plan.phases = phases;
+    if (weeklyTargets) plan.weeklyTargets = weeklyTargets;
     if (numberOfWeeks && numberOfWeeks >= plan.calculateCurrentWeek()) {
       plan.numberOfWeeks = numberOfWeeks;
     }
 
+    await plan.validate();
+
+    const revision = await recordPlanRevision(plan, before, {
+      author: req.impersonator || req.actor || req.user,
+      effectiveFrom: effectiveFrom ? parseDateInput(effectiveFrom, getUserTimezone(req.user)) : undefined,
+      note
+    });
+
     await plan.save();
 
     res.json({
       success: true,
       data: {
         ...plan.toObject(),
-        currentWeek: plan.calculateCurrentWeek()
+        currentWeek: plan.calculateCurrentWeek(),
+        revision: revision?.revision
       }
     });
   } catch (error) {
@@ -244,7 +510,7 @@ router.put('/:id', async (req, res, next) => {
 // @route   DELETE /api/plan/:id
 // @desc    Cancel/Delete a plan
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireScope('plan:write'), async (req, res, next) => {
   try {
     const plan = await Plan.findOneAndDelete({
       _id: req.params.id,
@@ -258,6 +524,20 @@ router.delete('/:id', async (req, res, next) => {
       });
     }
 
+    await PlanRevision.deleteMany({ planId: plan._id });
+    await PlanEvent.deleteMany({ planId: plan._id });
+
+    await recordAuditEvent(req, 'plan.delete', {
+      target: plan,
+      targetType: 'Plan',
+      metadata: {
+        userId: plan.userId,
+        status: plan.status,
+        startDate: plan.startDate,
+        numberOfWeeks: plan.numberOfWeeks
+      }
+    });
+
     res.json({
       success: true,
       message: 'Plan deleted successfully'
@@ -270,7 +550,7 @@ router.delete('/:id', async (req, res, next) => {
 // @route   GET /api/plan/progress
 // @desc    Get plan progress summary
 // @access  Private
-router.get('/progress/summary', async (req, res, next) => {
+router.get('/progress/summary', requireScope('plan:read'), async (req, res, next) => {
   try {
     const plan = await Plan.findOne({
       userId: req.user._id,
@@ -286,7 +566,8 @@ router.get('/progress/summary', async (req, res, next) => {
 
     const currentWeek = plan.calculateCurrentWeek();
     const totalDays = plan.numberOfWeeks * 7;
-    const daysCompleted = (currentWeek - 1) * 7 + (new Date().getDay() || 7);
+    const { weekday } = getZonedParts(new Date(), getUserTimezone(req.user));
+    const daysCompleted = (currentWeek - 1) * 7 + (weekday || 7);
     const progressPercentage = Math.min(Math.round((daysCompleted / totalDays) * 100), 100);
 
     res.json({
@@ -300,7 +581,8 @@ router.get('/progress/summary', async (req, res, next) => {
         status: plan.status,
         startDate: plan.startDate,
         endDate: plan.endDate,
-        goals: plan.goals
+        goals: plan.goals,
+        targets: plan.getWeekTargets(currentWeek)
       }
     });
   } catch (error) {
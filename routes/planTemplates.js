@@ -0,0 +1,176 @@
+import express from 'express';
+import PlanTemplate from '../models/PlanTemplate.js';
+import Plan from '../models/Plan.js';
+import { protect, requireSession, requireScope, coach } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// Fields coaches and admins may set on a template
+const TEMPLATE_FIELDS = ['name', 'description', 'numberOfWeeks', 'dietPlan', 'goals', 'phases', 'weeklyTargets', 'visibility'];
+
+const pickFields = (body) => {
+  const fields = {};
+  TEMPLATE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+// @route   GET /api/plan-templates
+// @desc    List templates visible to the current user (?search= by name)
+// @access  Private
+router.get('/', requireScope('plan:read'), async (req, res, next) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+
+    const query = PlanTemplate.visibleTo(req.user);
+    if (search) {
+      query.where({ name: { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' } });
+    }
+
+    const [templates, total] = await Promise.all([
+      query.clone()
+        .populate('createdBy', 'name')
+        .sort({ name: 1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      query.clone().countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/plan-templates/:id
+// @desc    Get a template
+// @access  Private
+router.get('/:id', requireScope('plan:read'), async (req, res, next) => {
+  try {
+    const template = await PlanTemplate.visibleTo(req.user)
+      .where({ _id: req.params.id })
+      .findOne()
+      .populate('createdBy', 'name');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/plan-templates
+// @desc    Create a template, from scratch or from one of the caller's plans (fromPlanId)
+// @access  Coach
+router.post('/', requireSession, coach, async (req, res, next) => {
+  try {
+    const fields = pickFields(req.body);
+
+    if (req.body.fromPlanId) {
+      const plan = await Plan.findOne({ _id: req.body.fromPlanId, userId: req.user._id });
+
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Plan not found'
+        });
+      }
+
+      const { numberOfWeeks, dietPlan, goals, phases, weeklyTargets } = plan.toObject();
+      Object.assign(fields, { numberOfWeeks, dietPlan, goals, phases, weeklyTargets, ...pickFields(req.body) });
+    }
+
+    const template = await PlanTemplate.create({
+      ...fields,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/plan-templates/:id
+// @desc    Update a template
+// @access  Coach (creator) or Admin
+router.put('/:id', requireSession, coach, async (req, res, next) => {
+  try {
+    const template = await PlanTemplate.findById(req.params.id);
+
+    if (!template || !template.canEdit(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    template.set(pickFields(req.body));
+    template.updatedBy = req.user._id;
+    await template.save();
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/plan-templates/:id
+// @desc    Delete a template (plans created from it are untouched)
+// @access  Coach (creator) or Admin
+router.delete('/:id', requireSession, coach, async (req, res, next) => {
+  try {
+    const template = await PlanTemplate.findById(req.params.id);
+
+    if (!template || !template.canEdit(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found'
+      });
+    }
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,40 +1,58 @@
 import express from 'express';
 import Steps from '../models/Steps.js';
 import Plan from '../models/Plan.js';
-import { protect } from '../middleware/auth.js';
+import { protect, delegate, requireScope } from '../middleware/auth.js';
+import { getDisplayUnits, formatStepsEntry, convertDistance } from '../utils/units.js';
+import {
+  getUserTimezone,
+  getDayWindow,
+  parseDateInput,
+  toDateKey,
+  toRangeQuery
+} from '../utils/dateWindow.js';
+import { getTargetsOn } from '../services/planRevisions.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; coaches may act on clients via ?asUser=
+router.use(protect, delegate);
 
 // @route   POST /api/steps
 // @desc    Add or update steps entry for a date
 // @access  Private
-router.post('/', async (req, res, next) => {
+router.post('/', requireScope('steps:write'), async (req, res, next) => {
   try {
-    const { count, goal, distance, caloriesBurned, date, week } = req.body;
+    const { count, goal, caloriesBurned, date, week } = req.body;
 
-    const entryDate = date ? new Date(date) : new Date();
-    // Normalize date to start of day
-    entryDate.setHours(0, 0, 0, 0);
+    // Distances arrive in the user's preferred unit and are stored in km
+    const { distanceUnit } = getDisplayUnits(req);
+    const distance = convertDistance(req.body.distance, distanceUnit, 'km');
+
+    // Normalize date to the start of the day in the user's timezone
+    const timezone = getUserTimezone(req.user);
+    const dayWindow = getDayWindow(date ? parseDateInput(date, timezone) : new Date(), timezone);
+    const entryDate = dayWindow.start;
+    const entryDay = toDateKey(entryDate, timezone);
 
     const plan = await Plan.findOne({
       userId: req.user._id,
       status: { $in: ['active', 'paused'] }
     });
 
-    const entryWeek = week || (plan ? plan.calculateCurrentWeek() : 1);
-    const stepsGoal = goal || plan?.goals?.dailyStepsGoal || 10000;
+    const entryWeek = week || (plan ? plan.calculateCurrentWeek(entryDate) : 1);
+    // Use the plan's targets for the entry's day and week, even when backdated
+    const targets = plan ? Plan.resolveWeekTargets(await getTargetsOn(plan, entryDate), entryWeek) : null;
+    const stepsGoal = goal || targets?.dailyStepsGoal || 10000;
 
     // Check if entry exists for this date
     let stepsEntry = await Steps.findOne({
       userId: req.user._id,
-      date: entryDate
+      $or: [{ day: entryDay }, { date: toRangeQuery(dayWindow) }]
     });
 
     if (stepsEntry) {
       // Update existing entry
+      stepsEntry.day = entryDay;
       stepsEntry.count = count;
       stepsEntry.goal = stepsGoal;
       if (distance !== undefined) stepsEntry.distance = distance;
@@ -46,6 +64,7 @@ router.post('/', async (req, res, next) => {
         userId: req.user._id,
         planId: plan?._id,
         date: entryDate,
+        day: entryDay,
         week: entryWeek,
         count,
         goal: stepsGoal,
@@ -56,7 +75,7 @@ router.post('/', async (req, res, next) => {
 
     res.status(201).json({
       success: true,
-      data: stepsEntry
+      data: formatStepsEntry(stepsEntry, distanceUnit)
     });
   } catch (error) {
     // Handle duplicate key error gracefully
@@ -73,7 +92,7 @@ router.post('/', async (req, res, next) => {
 // @route   GET /api/steps
 // @desc    Get all steps entries
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope('steps:read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 30, startDate, endDate, week } = req.query;
 
@@ -95,11 +114,12 @@ router.get('/', async (req, res, next) => {
       .limit(parseInt(limit));
 
     const total = await Steps.countDocuments(query);
+    const { distanceUnit } = getDisplayUnits(req);
 
     res.json({
       success: true,
       data: {
-        steps,
+        steps: steps.map(entry => formatStepsEntry(entry, distanceUnit)),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -116,14 +136,14 @@ router.get('/', async (req, res, next) => {
 // @route   GET /api/steps/date/:date
 // @desc    Get steps for a specific date
 // @access  Private
-router.get('/date/:date', async (req, res, next) => {
+router.get('/date/:date', requireScope('steps:read'), async (req, res, next) => {
   try {
-    const date = new Date(req.params.date);
-    date.setHours(0, 0, 0, 0);
+    const timezone = getUserTimezone(req.user);
+    const dayWindow = getDayWindow(parseDateInput(req.params.date, timezone), timezone);
 
     const steps = await Steps.findOne({
       userId: req.user._id,
-      date
+      date: toRangeQuery(dayWindow)
     });
 
     if (!steps) {
@@ -135,7 +155,7 @@ router.get('/date/:date', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: steps
+      data: formatStepsEntry(steps, getDisplayUnits(req).distanceUnit)
     });
   } catch (error) {
     next(error);
@@ -145,7 +165,7 @@ router.get('/date/:date', async (req, res, next) => {
 // @route   GET /api/steps/weekly
 // @desc    Get weekly steps summary
 // @access  Private
-router.get('/weekly', async (req, res, next) => {
+router.get('/weekly', requireScope('steps:read'), async (req, res, next) => {
   try {
     const summary = await Steps.aggregate([
       { $match: { userId: req.user._id } },
@@ -183,14 +203,13 @@ router.get('/weekly', async (req, res, next) => {
 // @route   GET /api/steps/today
 // @desc    Get today's steps
 // @access  Private
-router.get('/today', async (req, res, next) => {
+router.get('/today', requireScope('steps:read'), async (req, res, next) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const today = getDayWindow(new Date(), getUserTimezone(req.user));
 
     const steps = await Steps.findOne({
       userId: req.user._id,
-      date: today
+      date: toRangeQuery(today)
     });
 
     const plan = await Plan.findOne({
@@ -200,10 +219,10 @@ router.get('/today', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: steps || {
+      data: steps ? formatStepsEntry(steps, getDisplayUnits(req).distanceUnit) : {
         count: 0,
-        goal: plan?.goals?.dailyStepsGoal || 10000,
-        date: today
+        goal: plan?.getWeekTargets().dailyStepsGoal || 10000,
+        date: today.start
       }
     });
   } catch (error) {
@@ -214,9 +233,11 @@ router.get('/today', async (req, res, next) => {
 // @route   PUT /api/steps/:id
 // @desc    Update steps entry
 // @access  Private
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireScope('steps:write'), async (req, res, next) => {
   try {
-    const { count, goal, distance, caloriesBurned, week } = req.body;
+    const { count, goal, caloriesBurned, week } = req.body;
+    const { distanceUnit } = getDisplayUnits(req);
+    const distance = convertDistance(req.body.distance, distanceUnit, 'km');
 
     const updateFields = {};
     if (count !== undefined) updateFields.count = count;
@@ -240,7 +261,7 @@ router.put('/:id', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: steps
+      data: formatStepsEntry(steps, distanceUnit)
     });
   } catch (error) {
     next(error);
@@ -250,7 +271,7 @@ router.put('/:id', async (req, res, next) => {
 // @route   DELETE /api/steps/:id
 // @desc    Delete steps entry
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireScope('steps:write'), async (req, res, next) => {
   try {
     const steps = await Steps.findOneAndDelete({
       _id: req.params.id,
@@ -1,15 +1,15 @@
 import express from 'express';
-import multer from 'multer';
-import { parse } from 'csv-parse/sync';
 import Weight from '../models/Weight.js';
 import Plan from '../models/Plan.js';
-import { protect } from '../middleware/auth.js';
+import { protect, delegate, requireScope } from '../middleware/auth.js';
+import { getDisplayUnits, formatWeightEntry, weightInKgExpression, convertWeight, roundTo } from '../utils/units.js';
+import { getUserTimezone, parseDateInput } from '../utils/dateWindow.js';
+import { csvUpload, parseCsvFile } from '../utils/csv.js';
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; coaches may act on clients via ?asUser=
+router.use(protect, delegate);
 
 // Helper to get current week from plan
 const getCurrentWeek = async (userId) => {
@@ -23,7 +23,7 @@ const getCurrentWeek = async (userId) => {
 // @route   POST /api/weight
 // @desc    Add weight entry
 // @access  Private
-router.post('/', async (req, res, next) => {
+router.post('/', requireScope('weight:write'), async (req, res, next) => {
   try {
     const { weight, unit, date, notes, week } = req.body;
 
@@ -34,19 +34,21 @@ router.post('/', async (req, res, next) => {
 
     const entryWeek = week || (plan ? plan.calculateCurrentWeek() : 1);
 
+    const { weightUnit } = getDisplayUnits(req);
+
     const weightEntry = await Weight.create({
       userId: req.user._id,
       planId: plan?._id,
       weight,
-      unit: unit || 'kg',
-      date: date ? new Date(date) : new Date(),
+      unit: unit || weightUnit,
+      date: date ? parseDateInput(date, getUserTimezone(req.user)) : new Date(),
       notes,
       week: entryWeek
     });
 
     res.status(201).json({
       success: true,
-      data: weightEntry
+      data: formatWeightEntry(weightEntry, weightUnit)
     });
   } catch (error) {
     next(error);
@@ -56,7 +58,7 @@ router.post('/', async (req, res, next) => {
 // @route   GET /api/weight
 // @desc    Get all weight entries
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope('weight:read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 50, startDate, endDate, week } = req.query;
 
@@ -78,11 +80,12 @@ router.get('/', async (req, res, next) => {
       .limit(parseInt(limit));
 
     const total = await Weight.countDocuments(query);
+    const { weightUnit } = getDisplayUnits(req);
 
     res.json({
       success: true,
       data: {
-        weights,
+        weights: weights.map(entry => formatWeightEntry(entry, weightUnit)),
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -99,32 +102,39 @@ router.get('/', async (req, res, next) => {
 // @route   GET /api/weight/weekly
 // @desc    Get weekly weight summary
 // @access  Private
-router.get('/weekly', async (req, res, next) => {
+router.get('/weekly', requireScope('weight:read'), async (req, res, next) => {
   try {
+    const { weightUnit } = getDisplayUnits(req);
+
+    // Entries may be logged in different units - aggregate in kg
     const weights = await Weight.aggregate([
       { $match: { userId: req.user._id } },
+      { $addFields: { weightKg: weightInKgExpression() } },
       {
         $group: {
           _id: '$week',
-          avgWeight: { $avg: '$weight' },
-          minWeight: { $min: '$weight' },
-          maxWeight: { $max: '$weight' },
+          avgWeight: { $avg: '$weightKg' },
+          minWeight: { $min: '$weightKg' },
+          maxWeight: { $max: '$weightKg' },
           entries: { $sum: 1 },
-          lastEntry: { $last: '$weight' },
-          firstEntry: { $first: '$weight' }
+          lastEntry: { $last: '$weightKg' },
+          firstEntry: { $first: '$weightKg' }
         }
       },
       { $sort: { _id: 1 } }
     ]);
 
+    const toUnit = (kg) => convertWeight(kg, 'kg', weightUnit);
+
     // Calculate week-over-week change
     const weeklySummary = weights.map((week, index) => ({
       week: week._id,
-      avgWeight: Math.round(week.avgWeight * 10) / 10,
-      minWeight: week.minWeight,
-      maxWeight: week.maxWeight,
+      avgWeight: roundTo(toUnit(week.avgWeight)),
+      minWeight: roundTo(toUnit(week.minWeight)),
+      maxWeight: roundTo(toUnit(week.maxWeight)),
       entries: week.entries,
-      change: index > 0 ? Math.round((week.avgWeight - weights[index - 1].avgWeight) * 10) / 10 : 0
+      change: index > 0 ? roundTo(toUnit(week.avgWeight - weights[index - 1].avgWeight)) : 0,
+      unit: weightUnit
     }));
 
     res.json({
@@ -139,7 +149,7 @@ router.get('/weekly', async (req, res, next) => {
 // @route   POST /api/weight/bulk-upload
 // @desc    Bulk upload weight entries via CSV
 // @access  Private
-router.post('/bulk-upload', upload.single('file'), async (req, res, next) => {
+router.post('/bulk-upload', requireScope('weight:write'), csvUpload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -148,14 +158,8 @@ router.post('/bulk-upload', upload.single('file'), async (req, res, next) => {
       });
     }
 
-    const csvContent = req.file.buffer.toString('utf-8');
-
-    // Parse CSV - expected format: Week,Date,Weight,Notes
-    const records = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true
-    });
+    // Parse CSV - expected format: Week,Date,Weight,Notes[,Unit]
+    const records = parseCsvFile(req.file);
 
     if (records.length === 0) {
       return res.status(400).json({
@@ -169,6 +173,7 @@ router.post('/bulk-upload', upload.single('file'), async (req, res, next) => {
       status: { $in: ['active', 'paused'] }
     });
 
+    const { weightUnit } = getDisplayUnits(req);
     const weightEntries = [];
     const errors = [];
 
@@ -181,6 +186,12 @@ router.post('/bulk-upload', upload.single('file'), async (req, res, next) => {
         const date = new Date(record.Date || record.date);
         const weight = parseFloat(record.Weight || record.weight);
         const notes = record.Notes || record.notes || '';
+        const unit = (record.Unit || record.unit || weightUnit).toLowerCase();
+
+        if (!['kg', 'lbs'].includes(unit)) {
+          errors.push(`Row ${rowNum}: Unit must be kg or lbs`);
+          continue;
+        }
 
         if (isNaN(week) || isNaN(weight) || isNaN(date.getTime())) {
           errors.push(`Row ${rowNum}: Invalid data format`);
@@ -194,7 +205,7 @@ router.post('/bulk-upload', upload.single('file'), async (req, res, next) => {
           date,
           weight,
           notes,
-          unit: 'kg'
+          unit
         });
       } catch (err) {
         errors.push(`Row ${rowNum}: ${err.message}`);
@@ -228,7 +239,7 @@ router.post('/bulk-upload', upload.single('file'), async (req, res, next) => {
 // @route   GET /api/weight/:id
 // @desc    Get single weight entry
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireScope('weight:read'), async (req, res, next) => {
   try {
     const weight = await Weight.findOne({
       _id: req.params.id,
@@ -244,7 +255,7 @@ router.get('/:id', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: weight
+      data: formatWeightEntry(weight, getDisplayUnits(req).weightUnit)
     });
   } catch (error) {
     next(error);
@@ -254,13 +265,16 @@ router.get('/:id', async (req, res, next) => {
 // @route   PUT /api/weight/:id
 // @desc    Update weight entry
 // @access  Private
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireScope('weight:write'), async (req, res, next) => {
   try {
     const { weight, unit, date, notes, week } = req.body;
+    const { weightUnit } = getDisplayUnits(req);
 
+    // A new weight is read in the caller's unit, like a new entry, rather
+    // than silently taking the unit the entry was stored in
     const weightEntry = await Weight.findOneAndUpdate(
       { _id: req.params.id, userId: req.user._id },
-      { weight, unit, date, notes, week },
+      { weight, unit: weight !== undefined ? unit || weightUnit : unit, date, notes, week },
       { new: true, runValidators: true }
     );
 
@@ -273,7 +287,7 @@ router.put('/:id', async (req, res, next) => {
 
     res.json({
       success: true,
-      data: weightEntry
+      data: formatWeightEntry(weightEntry, weightUnit)
     });
   } catch (error) {
     next(error);
@@ -283,7 +297,7 @@ router.put('/:id', async (req, res, next) => {
 // @route   DELETE /api/weight/:id
 // @desc    Delete weight entry
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireScope('weight:write'), async (req, res, next) => {
   try {
     const weight = await Weight.findOneAndDelete({
       _id: req.params.id,
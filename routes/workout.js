@@ -1,17 +1,18 @@
 import express from 'express';
 import Workout from '../models/Workout.js';
 import Plan from '../models/Plan.js';
-import { protect } from '../middleware/auth.js';
+import { protect, delegate, requireScope } from '../middleware/auth.js';
+import { getUserTimezone, getDayWindow, parseDateInput, toRangeQuery } from '../utils/dateWindow.js';
 
 const router = express.Router();
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication; coaches may act on clients via ?asUser=
+router.use(protect, delegate);
 
 // @route   POST /api/workout
 // @desc    Add workout
 // @access  Private
-router.post('/', async (req, res, next) => {
+router.post('/', requireScope('workout:write'), async (req, res, next) => {
   try {
     const { name, exercises, duration, caloriesBurned, notes, date, week } = req.body;
 
@@ -30,7 +31,7 @@ router.post('/', async (req, res, next) => {
       duration,
       caloriesBurned,
       notes,
-      date: date ? new Date(date) : new Date(),
+      date: date ? parseDateInput(date, getUserTimezone(req.user)) : new Date(),
       week: entryWeek
     });
 
@@ -46,7 +47,7 @@ router.post('/', async (req, res, next) => {
 // @route   GET /api/workout
 // @desc    Get all workouts
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', requireScope('workout:read'), async (req, res, next) => {
   try {
     const { page = 1, limit = 20, startDate, endDate, week } = req.query;
 
@@ -89,15 +90,14 @@ router.get('/', async (req, res, next) => {
 // @route   GET /api/workout/date/:date
 // @desc    Get workouts by date
 // @access  Private
-router.get('/date/:date', async (req, res, next) => {
+router.get('/date/:date', requireScope('workout:read'), async (req, res, next) => {
   try {
-    const date = new Date(req.params.date);
-    const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-    const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+    const timezone = getUserTimezone(req.user);
+    const dayWindow = getDayWindow(parseDateInput(req.params.date, timezone), timezone);
 
     const workouts = await Workout.find({
       userId: req.user._id,
-      date: { $gte: startOfDay, $lte: endOfDay }
+      date: toRangeQuery(dayWindow)
     }).sort({ createdAt: -1 });
 
     res.json({
@@ -112,7 +112,7 @@ router.get('/date/:date', async (req, res, next) => {
 // @route   GET /api/workout/weekly
 // @desc    Get weekly workout summary
 // @access  Private
-router.get('/weekly', async (req, res, next) => {
+router.get('/weekly', requireScope('workout:read'), async (req, res, next) => {
   try {
     const summary = await Workout.aggregate([
       { $match: { userId: req.user._id } },
@@ -146,7 +146,7 @@ router.get('/weekly', async (req, res, next) => {
 // @route   GET /api/workout/:id
 // @desc    Get single workout
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', requireScope('workout:read'), async (req, res, next) => {
   try {
     const workout = await Workout.findOne({
       _id: req.params.id,
@@ -172,7 +172,7 @@ router.get('/:id', async (req, res, next) => {
 // @route   PUT /api/workout/:id
 // @desc    Update workout
 // @access  Private
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', requireScope('workout:write'), async (req, res, next) => {
   try {
     const { name, exercises, duration, caloriesBurned, notes, date, week, completed } = req.body;
 
@@ -182,7 +182,7 @@ router.put('/:id', async (req, res, next) => {
     if (duration !== undefined) updateFields.duration = duration;
     if (caloriesBurned !== undefined) updateFields.caloriesBurned = caloriesBurned;
     if (notes !== undefined) updateFields.notes = notes;
-    if (date !== undefined) updateFields.date = new Date(date);
+    if (date !== undefined) updateFields.date = parseDateInput(date, getUserTimezone(req.user));
     if (week !== undefined) updateFields.week = week;
     if (completed !== undefined) updateFields.completed = completed;
 
@@ -211,7 +211,7 @@ router.put('/:id', async (req, res, next) => {
 // @route   POST /api/workout/:id/exercise
 // @desc    Add exercise to workout
 // @access  Private
-router.post('/:id/exercise', async (req, res, next) => {
+router.post('/:id/exercise', requireScope('workout:write'), async (req, res, next) => {
   try {
     const { name, sets, reps, weight, unit, notes } = req.body;
 
@@ -242,7 +242,7 @@ router.post('/:id/exercise', async (req, res, next) => {
 // @route   DELETE /api/workout/:id/exercise/:exerciseId
 // @desc    Remove exercise from workout
 // @access  Private
-router.delete('/:id/exercise/:exerciseId', async (req, res, next) => {
+router.delete('/:id/exercise/:exerciseId', requireScope('workout:write'), async (req, res, next) => {
   try {
     const workout = await Workout.findOne({
       _id: req.params.id,
@@ -273,7 +273,7 @@ router.delete('/:id/exercise/:exerciseId', async (req, res, next) => {
 // @route   DELETE /api/workout/:id
 // @desc    Delete workout
 // @access  Private
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', requireScope('workout:write'), async (req, res, next) => {
   try {
     const workout = await Workout.findOneAndDelete({
       _id: req.params.id,
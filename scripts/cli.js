@@ -0,0 +1,379 @@
+// Maintenance CLI for bootstrapping and operating the API.
+//
+//   node scripts/cli.js <command> [options]
+//
+// Connects with MONGODB_URI (from .env). Every command is idempotent - running
+// it twice leaves the same result - and mutating commands accept --dry-run to
+// print what would change without writing anything.
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import User from '../models/User.js';
+import Plan from '../models/Plan.js';
+import Weight from '../models/Weight.js';
+import Workout from '../models/Workout.js';
+import Steps from '../models/Steps.js';
+import Meal from '../models/Meal.js';
+import Session from '../models/Session.js';
+import { revokeUserSessions } from '../services/sessions.js';
+import { runPlanLifecycle } from '../services/planLifecycle.js';
+import { recordAuditEvent } from '../services/audit.js';
+import { generateRandomToken } from '../utils/tokens.js';
+import { getUserTimezone, isValidTimezone, parseDateInput, toDateKey } from '../utils/dateWindow.js';
+
+const USAGE = `Usage: node scripts/cli.js <command> [options]
+
+Commands:
+  create-admin    --email <email> --name <name> [--password <password>]
+                  Create an admin account (no-op if the admin already exists)
+  promote         --email <email> [--role admin|coach]   (default: admin)
+  demote          --email <email> [--role user|coach]    (default: user)
+  reset-password  --email <email> [--password <password>]
+                  Set a new password, clear lockouts and sign out everywhere
+  deactivate      --email <email>
+                  Deactivate an account and sign it out everywhere
+  recompute-plans Run the plan lifecycle job: complete ended plans, resume plans
+                  paused too long and refresh currentWeek on active plans
+  migrate-steps   [--timezone <tz>]   (default: UTC)
+                  Fill in the calendar day on steps logged before days were
+                  tracked per timezone, and drop the old one-per-date index.
+                  --timezone is the server timezone those entries were saved in
+  stats           Print document counts per collection
+
+Options:
+  --dry-run       Show what would change without writing
+  --help          Show this message
+
+Passwords are generated and printed once when --password is omitted.`;
+
+const ROLES = ['user', 'coach', 'admin'];
+
+// Every CLI change is audited as a system action
+const AUDIT_SOURCE = { via: 'cli' };
+
+class CliError extends Error {}
+
+const log = (message) => console.log(message);
+
+const requireOption = (options, name) => {
+  if (!options[name]) {
+    throw new CliError(`--${name} is required`);
+  }
+  return options[name];
+};
+
+const findUserByEmail = async (email) => {
+  const user = await User.findOne({ email: email.toLowerCase().trim() });
+  if (!user) {
+    throw new CliError(`No user found with email ${email}`);
+  }
+  return user;
+};
+
+const resolvePassword = (options) => {
+  const password = options.password || generateRandomToken(8);
+  if (password.length < 6) {
+    throw new CliError('Password must be at least 6 characters');
+  }
+  return { password, generated: !options.password };
+};
+
+// Refuse to remove the last active admin - there would be no way back in
+const ensureAnotherAdmin = async (user) => {
+  if (user.role !== 'admin') {
+    return;
+  }
+  const otherAdmins = await User.countDocuments({
+    role: 'admin',
+    isActive: true,
+    deletedAt: null,
+    _id: { $ne: user._id }
+  });
+  if (otherAdmins === 0) {
+    throw new CliError(`${user.email} is the last active admin`);
+  }
+};
+
+const setRole = async (options, role, dryRun) => {
+  const user = await findUserByEmail(requireOption(options, 'email'));
+
+  if (user.role === role) {
+    log(`${user.email} is already ${role} - nothing to do`);
+    return;
+  }
+
+  if (role !== 'admin') {
+    await ensureAnotherAdmin(user);
+  }
+
+  if (dryRun) {
+    log(`[dry run] Would change ${user.email} from ${user.role} to ${role}`);
+    return;
+  }
+
+  const from = user.role;
+  user.role = role;
+  await user.save();
+  await recordAuditEvent(null, 'admin.user.role_change', {
+    actor: null,
+    target: user,
+    metadata: { from, to: role, ...AUDIT_SOURCE }
+  });
+
+  log(`Changed ${user.email} from ${from} to ${role}`);
+};
+
+const commands = {
+  'create-admin': async (options, dryRun) => {
+    const email = requireOption(options, 'email').toLowerCase().trim();
+    const name = requireOption(options, 'name');
+
+    const existing = await User.findOne({ email });
+    if (existing) {
+      if (existing.role === 'admin') {
+        log(`${email} is already an admin - nothing to do`);
+        return;
+      }
+      throw new CliError(`${email} already exists as ${existing.role} - use "promote" instead`);
+    }
+
+    const { password, generated } = resolvePassword(options);
+
+    if (dryRun) {
+      log(`[dry run] Would create admin ${email}`);
+      return;
+    }
+
+    const user = await User.create({ email, name, password, role: 'admin' });
+    await recordAuditEvent(null, 'admin.user.create', {
+      actor: null,
+      target: user,
+      metadata: { role: 'admin', ...AUDIT_SOURCE }
+    });
+
+    log(`Created admin ${user.email} (${user._id})`);
+    if (generated) {
+      log(`Password: ${password}`);
+    }
+  },
+
+  promote: (options, dryRun) => {
+    const role = options.role || 'admin';
+    if (!['admin', 'coach'].includes(role)) {
+      throw new CliError('--role must be admin or coach');
+    }
+    return setRole(options, role, dryRun);
+  },
+
+  demote: (options, dryRun) => {
+    const role = options.role || 'user';
+    if (!['user', 'coach'].includes(role)) {
+      throw new CliError('--role must be user or coach');
+    }
+    return setRole(options, role, dryRun);
+  },
+
+  'reset-password': async (options, dryRun) => {
+    const user = await findUserByEmail(requireOption(options, 'email'));
+    const { password, generated } = resolvePassword(options);
+
+    if (dryRun) {
+      log(`[dry run] Would reset the password for ${user.email} and revoke their sessions`);
+      return;
+    }
+
+    user.password = password;
+    await user.save();
+    await user.resetFailedLogins();
+    await revokeUserSessions(user._id, 'password_reset');
+    await recordAuditEvent(null, 'admin.user.password_reset', {
+      actor: null,
+      target: user,
+      metadata: AUDIT_SOURCE
+    });
+
+    log(`Reset the password for ${user.email}`);
+    if (generated) {
+      log(`Password: ${password}`);
+    }
+  },
+
+  deactivate: async (options, dryRun) => {
+    const user = await findUserByEmail(requireOption(options, 'email'));
+
+    if (!user.isActive) {
+      log(`${user.email} is already deactivated - nothing to do`);
+      return;
+    }
+
+    await ensureAnotherAdmin(user);
+
+    if (dryRun) {
+      log(`[dry run] Would deactivate ${user.email} and revoke their sessions`);
+      return;
+    }
+
+    user.isActive = false;
+    await user.save();
+    await revokeUserSessions(user._id, 'deactivated');
+    await recordAuditEvent(null, 'admin.user.active_change', {
+      actor: null,
+      target: user,
+      metadata: { from: true, to: false, ...AUDIT_SOURCE }
+    });
+
+    log(`Deactivated ${user.email}`);
+  },
+
+  'recompute-plans': async (options, dryRun) => {
+    const summary = await runPlanLifecycle({ dryRun, trigger: 'cli' });
+
+    const prefix = dryRun ? '[dry run] ' : '';
+    log(`${prefix}${summary.resumed} resumed, ${summary.completed} completed, ${summary.weeksUpdated} current weeks updated`);
+    summary.failed.forEach(({ planId, error }) => log(`  Failed plan ${planId}: ${error}`));
+  },
+
+  'migrate-steps': async (options, dryRun) => {
+    const legacyTimezone = options.timezone || 'UTC';
+    if (!isValidTimezone(legacyTimezone)) {
+      throw new CliError(`Unknown timezone ${legacyTimezone}`);
+    }
+    const prefix = dryRun ? '[dry run] ' : '';
+
+    // The old unique index allowed one entry per stored instant, which no
+    // longer matches how entries are keyed
+    const legacyIndex = (await Steps.collection.indexes()).find(index =>
+      index.unique && Object.keys(index.key).join() === 'userId,date'
+    );
+    if (legacyIndex) {
+      if (!dryRun) {
+        await Steps.collection.dropIndex(legacyIndex.name);
+      }
+      log(`${prefix}Dropped index ${legacyIndex.name}`);
+    }
+
+    const timezones = new Map();
+    const userTimezone = async (userId) => {
+      const key = userId.toString();
+      if (!timezones.has(key)) {
+        timezones.set(key, getUserTimezone(await User.findById(userId).select('profile.timezone')));
+      }
+      return timezones.get(key);
+    };
+
+    // Days already taken per user, so a backfill never breaks the unique index
+    const taken = new Set();
+    const takenKey = (userId, day) => `${userId}:${day}`;
+    for await (const entry of Steps.find({ day: { $exists: true } }).select('userId day').lean().cursor()) {
+      taken.add(takenKey(entry.userId, entry.day));
+    }
+
+    let updated = 0;
+    const duplicates = [];
+    const legacyEntries = Steps.find({ day: { $exists: false } }).sort({ updatedAt: -1 }).lean().cursor();
+
+    for await (const entry of legacyEntries) {
+      // Legacy entries were stored at midnight in the server's timezone
+      const day = toDateKey(entry.date, legacyTimezone);
+
+      if (taken.has(takenKey(entry.userId, day))) {
+        duplicates.push({ entry, day });
+        continue;
+      }
+      taken.add(takenKey(entry.userId, day));
+
+      if (!dryRun) {
+        const date = parseDateInput(day, await userTimezone(entry.userId));
+        await Steps.updateOne({ _id: entry._id }, { day, date });
+      }
+      updated += 1;
+    }
+
+    if (!dryRun) {
+      await Steps.createIndexes();
+    }
+
+    log(`${prefix}Backfilled the day on ${updated} steps entries`);
+    if (duplicates.length > 0) {
+      log(`${duplicates.length} entries share a day with a newer entry and were left as they are:`);
+      duplicates.forEach(({ entry, day }) => log(`  ${entry._id} (user ${entry.userId}, ${day}, ${entry.count} steps)`));
+    }
+  },
+
+  stats: async () => {
+    const [usersByRole, plansByStatus] = await Promise.all([
+      User.aggregate([
+        {
+          $group: {
+            _id: { role: '$role', isActive: '$isActive', deleted: { $gt: ['$deletedAt', null] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Plan.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    log('Users:');
+    for (const role of ROLES) {
+      const rows = usersByRole.filter(row => row._id.role === role);
+      const count = (filter) => rows.filter(filter).reduce((sum, row) => sum + row.count, 0);
+      const total = count(() => true);
+      const active = count(row => row._id.isActive && !row._id.deleted);
+      const trashed = count(row => row._id.deleted);
+      log(`  ${role.padEnd(10)} ${total} total, ${active} active, ${trashed} trashed`);
+    }
+
+    log('Plans:');
+    plansByStatus.forEach(row => log(`  ${String(row._id).padEnd(10)} ${row.count}`));
+
+    log('Collections:');
+    for (const Model of [User, Plan, Weight, Workout, Steps, Meal, Session]) {
+      log(`  ${Model.collection.name.padEnd(10)} ${await Model.estimatedDocumentCount()}`);
+    }
+  }
+};
+
+const main = async () => {
+  const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      password: { type: 'string' },
+      role: { type: 'string' },
+      timezone: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  const [command] = positionals;
+
+  if (options.help || !command) {
+    log(USAGE);
+    return;
+  }
+
+  if (!commands[command]) {
+    throw new CliError(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+
+  dotenv.config();
+  if (!process.env.MONGODB_URI) {
+    throw new CliError('MONGODB_URI is not set');
+  }
+  await connectDB();
+
+  try {
+    await commands[command](options, options['dry-run']);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  const expected = error instanceof CliError || error.code?.startsWith('ERR_PARSE_ARGS');
+  console.error(expected ? error.message : error);
+  process.exit(1);
+});
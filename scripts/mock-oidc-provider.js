@@ -0,0 +1,113 @@
+// Minimal OpenID Connect provider for local SSO testing.
+//
+//   node scripts/mock-oidc-provider.js
+//
+// Then point the API at it:
+//   OIDC_ISSUER=http://localhost:4000
+//   OIDC_CLIENT_ID=fitness-local
+//   OIDC_REDIRECT_URI=http://localhost:5173/sso/callback
+//
+// /authorize approves immediately. The identity comes from MOCK_OIDC_* env vars
+// and can be overridden per login with ?email=&sub=&name=&groups= on the URL.
+import express from 'express';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const PORT = process.env.MOCK_OIDC_PORT || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' };
+
+// Issued authorization codes, kept in memory for a single test run
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: true }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256']
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [publicJwk] });
+});
+
+app.get('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+
+  if (!client_id || !redirect_uri || !code_challenge || code_challenge_method !== 'S256') {
+    return res.status(400).json({ error: 'invalid_request' });
+  }
+
+  const email = req.query.email || process.env.MOCK_OIDC_EMAIL || 'sso.user@example.com';
+  const groups = req.query.groups || process.env.MOCK_OIDC_GROUPS || '';
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    codeChallenge: code_challenge,
+    claims: {
+      sub: req.query.sub || process.env.MOCK_OIDC_SUB || `mock|${email}`,
+      email,
+      email_verified: true,
+      name: req.query.name || process.env.MOCK_OIDC_NAME || 'SSO User',
+      groups: groups.split(',').map(group => group.trim()).filter(Boolean),
+      nonce
+    }
+  });
+
+  const redirect = new URL(redirect_uri);
+  redirect.searchParams.set('code', code);
+  if (state) redirect.searchParams.set('state', state);
+  res.redirect(redirect.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+  const issued = codes.get(code);
+  codes.delete(code);
+
+  if (grant_type !== 'authorization_code' || !issued) {
+    return res.status(400).json({ error: 'invalid_grant' });
+  }
+
+  if (issued.clientId !== client_id || issued.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'Client or redirect mismatch' });
+  }
+
+  const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+  if (challenge !== issued.codeChallenge) {
+    return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const idToken = jwt.sign(issued.claims, privateKey, {
+    algorithm: 'RS256',
+    keyid: KEY_ID,
+    issuer: ISSUER,
+    audience: client_id,
+    expiresIn: '5m'
+  });
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString('hex'),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider running at ${ISSUER}`);
+});
@@ -2,21 +2,35 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import connectDB from './config/db.js';
+import { getTrustProxy } from './utils/request.js';
 
 // Route imports
 import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import apiKeyRoutes from './routes/apiKeys.js';
 import adminRoutes from './routes/admin.js';
+import adminAnalyticsRoutes from './routes/adminAnalytics.js';
+import adminAnnouncementRoutes from './routes/adminAnnouncements.js';
+import adminGroupRoutes from './routes/adminGroups.js';
+import coachRoutes from './routes/coach.js';
 import planRoutes from './routes/plan.js';
+import planTemplateRoutes from './routes/planTemplates.js';
 import weightRoutes from './routes/weight.js';
 import workoutRoutes from './routes/workout.js';
 import stepsRoutes from './routes/steps.js';
 import mealsRoutes from './routes/meals.js';
 import analyticsRoutes from './routes/analytics.js';
+import announcementRoutes from './routes/announcements.js';
+import groupRoutes from './routes/groups.js';
+import cronRoutes from './routes/cron.js';
 
 dotenv.config();
 
 const app = express();
 
+// Client IPs (login throttling, audit, sessions) come from req.ip
+app.set('trust proxy', getTrustProxy());
+
 // CORS must be FIRST - before any other middleware
 // Support multiple origins via comma-separated FRONTEND_URL or single URL
 const allowedOrigins =
@@ -42,7 +56,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 };
 
 app.use(cors(corsOptions));
@@ -70,14 +84,23 @@ app.use(async (req, res, next) => {
 });
 
 // Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/api-keys', apiKeyRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/admin/analytics', adminAnalyticsRoutes);
+app.use('/api/admin/announcements', adminAnnouncementRoutes);
+app.use('/api/admin/groups', adminGroupRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/coach', coachRoutes);
+app.use('/api/groups', groupRoutes);
 app.use('/api/plan', planRoutes);
+app.use('/api/plan-templates', planTemplateRoutes);
 app.use('/api/weight', weightRoutes);
 app.use('/api/workout', workoutRoutes);
 app.use('/api/steps', stepsRoutes);
 app.use('/api/meals', mealsRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/cron', cronRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,51 @@
+import { weightInKgExpression } from '../utils/units.js';
+
+// Aggregation stages shared by the per-user analytics routes and group rollups.
+// `by` is the $group key: null for a single total, '$userId' for one row per user.
+
+// Total, average and best step counts
+export const stepsTotalsStage = (by = null) => ({
+  $group: {
+    _id: by,
+    totalSteps: { $sum: '$count' },
+    avgSteps: { $avg: '$count' },
+    maxSteps: { $max: '$count' },
+    totalDays: { $sum: 1 }
+  }
+});
+
+// Workout counts with total duration and calories
+export const workoutTotalsStage = (by = null) => ({
+  $group: {
+    _id: by,
+    totalWorkouts: { $sum: 1 },
+    totalDuration: { $sum: '$duration' },
+    totalCalories: { $sum: '$caloriesBurned' },
+    avgDuration: { $avg: '$duration' }
+  }
+});
+
+// First and latest weigh-in in kg (entries may mix units)
+export const weightChangeStages = (by = null) => [
+  { $addFields: { weightKg: weightInKgExpression() } },
+  { $sort: { date: 1 } },
+  {
+    $group: {
+      _id: by,
+      startKg: { $first: '$weightKg' },
+      currentKg: { $last: '$weightKg' },
+      entries: { $sum: 1 }
+    }
+  }
+];
+
+// Index of the plan phase containing an entry's plan week, -1 outside of any phase
+export const phaseIndexExpression = (phases, week = '$week') => ({
+  $switch: {
+    branches: phases.map((phase, index) => ({
+      case: { $and: [{ $gte: [week, phase.startWeek] }, { $lte: [week, phase.endWeek] }] },
+      then: index
+    })),
+    default: -1
+  }
+});
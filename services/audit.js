@@ -0,0 +1,28 @@
+import AuditEvent from '../models/AuditEvent.js';
+import { getClientIp, getUserAgent } from '../utils/request.js';
+
+// Record an audit event for the current request (req is null for background jobs).
+// Failures are logged rather than thrown so auditing never breaks the request itself.
+export const recordAuditEvent = async (req, action, { actor, target, targetType = 'User', metadata = {} } = {}) => {
+  const performedBy = actor === undefined ? (req?.impersonator || req?.actor || req?.user) : actor;
+
+  // Actions taken while impersonating are attributed to the admin
+  if (req?.impersonation && !metadata.impersonationId) {
+    metadata = { ...metadata, impersonationId: req.impersonation._id };
+  }
+
+  try {
+    await AuditEvent.create({
+      action,
+      actorId: performedBy?._id || null,
+      actorEmail: performedBy?.email,
+      targetType: target ? targetType : undefined,
+      targetId: target?._id || null,
+      ip: req ? getClientIp(req) : undefined,
+      userAgent: req ? getUserAgent(req) : undefined,
+      metadata
+    });
+  } catch (error) {
+    console.error(`Failed to record audit event ${action}: ${error.message}`);
+  }
+};
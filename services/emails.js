@@ -0,0 +1,51 @@
+import { sendMail } from './mail.js';
+
+// Base URL of the frontend, used to build links in emails
+export const getAppUrl = () => {
+  const url = process.env.APP_URL || (process.env.FRONTEND_URL || '').split(',')[0].trim();
+  return (url || 'http://localhost:5173').replace(/\/+$/, '');
+};
+
+// @email   Verify email address after self-service registration
+export const sendVerificationEmail = (user, token) => {
+  const link = `${getAppUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThis link expires in 24 hours. If you did not create an account, you can ignore this email.`
+  });
+};
+
+// @email   Confirm a new address requested through the profile
+export const sendEmailChangeEmail = (user, token) => {
+  const link = `${getAppUrl()}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.pendingEmail,
+    subject: 'Confirm your new email address',
+    text: `Hi ${user.name},\n\nPlease confirm that you want to use this address for your account by opening the link below:\n${link}\n\nThis link expires in 24 hours. Until then your account keeps using ${user.email}. If you did not ask for this change, you can ignore this email.`
+  });
+};
+
+// @email   Password reset link requested via forgot-password
+export const sendPasswordResetEmail = (user, token) => {
+  const link = `${getAppUrl()}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThis link expires in 1 hour and can only be used once. If you did not request a reset, you can ignore this email.`
+  });
+};
+
+// @email   Invite for an account created by an admin, used to set a first password
+export const sendInviteEmail = (user, token, expiresInDays) => {
+  const link = `${getAppUrl()}/reset-password?token=${token}&invite=1`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'You have been invited to the fitness tracker',
+    text: `Hi ${user.name},\n\nAn account has been created for you. Open the link below to choose your password and sign in:\n${link}\n\nThis link expires in ${expiresInDays} days and can only be used once.`
+  });
+};
@@ -0,0 +1,451 @@
+import User from '../models/User.js';
+import Plan from '../models/Plan.js';
+import PlanRevision from '../models/PlanRevision.js';
+import Weight from '../models/Weight.js';
+import Steps from '../models/Steps.js';
+import Meal from '../models/Meal.js';
+import Workout from '../models/Workout.js';
+import { snapshotTargets } from './planRevisions.js';
+import { startOfDay, toDateKey } from '../utils/dateWindow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Collections that count as logging, with any extra condition an entry must meet
+const LOG_SOURCES = [
+  { kind: 'weight', Model: Weight },
+  { kind: 'steps', Model: Steps, match: { count: { $gt: 0 } } },
+  { kind: 'meals', Model: Meal },
+  { kind: 'workouts', Model: Workout }
+];
+
+export const LOG_KINDS = LOG_SOURCES.map(source => source.kind);
+
+const dayKey = (timezone, date = '$date') => ({
+  $dateToString: { format: '%Y-%m-%d', date, timezone }
+});
+
+// ISO week (Monday start), e.g. 2026-W07
+const weekKey = (timezone, date = '$date') => ({
+  $dateToString: { format: '%G-W%V', date, timezone }
+});
+
+// Percentage of `part` over `whole`, capped at 100
+const percentOf = (part, whole) => ({
+  $round: [{ $multiply: [{ $min: [1, { $divide: [part, { $max: [whole, 1] }] }] }, 100] }, 0]
+});
+
+const userFilter = (userIds) => (userIds ? { userId: { $in: userIds } } : {});
+
+// Aggregate every log entry as { userId, date, kind }, followed by `stages`
+const aggregateLogEntries = (match, stages) => {
+  const entriesFrom = ({ kind, match: extra }) => [
+    { $match: { ...match, ...extra } },
+    { $project: { _id: 0, userId: 1, date: 1, kind: { $literal: kind } } }
+  ];
+  const [first, ...rest] = LOG_SOURCES;
+
+  return first.Model.aggregate([
+    ...entriesFrom(first),
+    ...rest.map(source => ({
+      $unionWith: { coll: source.Model.collection.name, pipeline: entriesFrom(source) }
+    })),
+    ...stages
+  ]);
+};
+
+// Pipeline stages adding `lastLoggedAt` (null if never) to user documents
+export const lastLoggedAtStages = () => [
+  ...LOG_SOURCES.map(({ kind, Model, match = {} }) => ({
+    $lookup: {
+      from: Model.collection.name,
+      let: { userId: '$_id' },
+      pipeline: [
+        { $match: { ...match, $expr: { $eq: ['$userId', '$$userId'] } } },
+        { $sort: { date: -1 } },
+        { $limit: 1 },
+        { $project: { _id: 0, date: 1 } }
+      ],
+      as: `last_${kind}`
+    }
+  })),
+  {
+    $addFields: {
+      lastLoggedAt: { $max: { $concatArrays: LOG_KINDS.map(kind => `$last_${kind}.date`) } }
+    }
+  },
+  { $project: Object.fromEntries(LOG_KINDS.map(kind => [`last_${kind}`, 0])) }
+];
+
+// Split a { page, limit } facet result into rows and pagination
+const paginate = ([result], page, limit) => {
+  const total = result.total[0]?.count || 0;
+  return {
+    rows: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Daily and weekly counts of users who logged anything, plus DAU/WAU for the
+// last day and week of the window
+export const getActiveLoggers = async ({ days = 30, timezone = 'UTC', userIds, now = new Date() } = {}) => {
+  const from = startOfDay(now, timezone, -(days - 1));
+  const weekFrom = startOfDay(now, timezone, -6);
+  const today = toDateKey(now, timezone);
+
+  const [result] = await aggregateLogEntries(
+    { date: { $gte: from, $lte: now }, ...userFilter(userIds) },
+    [{
+      $facet: {
+        daily: [
+          { $group: { _id: { day: dayKey(timezone), userId: '$userId' }, kinds: { $addToSet: '$kind' } } },
+          {
+            $group: {
+              _id: '$_id.day',
+              activeUsers: { $sum: 1 },
+              ...Object.fromEntries(LOG_KINDS.map(kind => [
+                kind,
+                { $sum: { $cond: [{ $in: [kind, '$kinds'] }, 1, 0] } }
+              ]))
+            }
+          }
+        ],
+        weekly: [
+          { $group: { _id: { week: weekKey(timezone), userId: '$userId' } } },
+          { $group: { _id: '$_id.week', activeUsers: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        lastWeek: [
+          { $match: { date: { $gte: weekFrom } } },
+          { $group: { _id: '$userId' } },
+          { $count: 'count' }
+        ],
+        window: [
+          { $group: { _id: '$userId' } },
+          { $count: 'count' }
+        ]
+      }
+    }]
+  );
+
+  // Fill in days nobody logged so the series has one point per day
+  const byDay = new Map(result.daily.map(({ _id, ...counts }) => [_id, counts]));
+  const daily = [];
+  for (let i = 0; i < days; i++) {
+    const date = toDateKey(startOfDay(from, timezone, i), timezone);
+    const counts = byDay.get(date);
+    daily.push({
+      date,
+      activeUsers: counts?.activeUsers || 0,
+      byKind: Object.fromEntries(LOG_KINDS.map(kind => [kind, counts?.[kind] || 0]))
+    });
+  }
+
+  return {
+    timezone,
+    from,
+    to: now,
+    dau: byDay.get(today)?.activeUsers || 0,
+    wau: result.lastWeek[0]?.count || 0,
+    activeInWindow: result.window[0]?.count || 0,
+    daily,
+    weekly: result.weekly.map(week => ({ week: week._id, activeUsers: week.activeUsers }))
+  };
+};
+
+// Workouts a plan expected over each row's compliance window. Every day counts
+// for a seventh of the weekly goal that applied to it, resolved like the
+// plan's own targets: the revision in effect that day, then its phases and
+// per-week targets for the plan week.
+const addExpectedWorkouts = async (rows) => {
+  const planIds = rows.map(row => row.planId);
+  const [plans, revisions] = await Promise.all([
+    Plan.find({ _id: { $in: planIds } }),
+    PlanRevision.find({ planId: { $in: planIds } }).sort({ effectiveFrom: -1, revision: -1 })
+  ]);
+
+  rows.forEach(row => {
+    const plan = plans.find(p => p._id.equals(row.planId));
+    const planRevisions = revisions.filter(revision => revision.planId.equals(row.planId));
+
+    let weeklyGoalSum = 0;
+    for (let day = 0; day < row.expectedDays; day++) {
+      const date = new Date(row.windowStart.getTime() + day * DAY_MS);
+      // Revision 1 also covers anything before its effective date
+      const revision = planRevisions.find(r => r.effectiveFrom <= date) || planRevisions[planRevisions.length - 1];
+      const targets = Plan.resolveWeekTargets(snapshotTargets(revision || plan), plan.calculateCurrentWeek(date));
+      weeklyGoalSum += targets.weeklyWorkoutGoal;
+    }
+
+    const expected = Math.ceil(weeklyGoalSum / 7);
+    row.workouts = {
+      days: row.workouts.days,
+      expected,
+      compliance: Math.round(Math.min(1, row.workouts.days / Math.max(expected, 1)) * 100)
+    };
+  });
+};
+
+// Per-user logging compliance for active plans over the last `days` days (or
+// since the plan started, if later). Each kind is compared with what the plan
+// expects: meals and steps daily, a weigh-in weekly, and the weekly workout
+// goal in effect each day (see addExpectedWorkouts). Least compliant users come first.
+export const getCompliance = async ({
+  days = 28,
+  timezone = 'UTC',
+  userIds,
+  now = new Date(),
+  page = 1,
+  limit = 20
+} = {}) => {
+  const from = startOfDay(now, timezone, -(days - 1));
+
+  const result = await Plan.aggregate([
+    { $match: { status: 'active', startDate: { $lte: now }, ...userFilter(userIds) } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { userId: '$userId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$userId'] }, isActive: true, deletedAt: null } },
+          { $project: { name: 1, email: 1 } }
+        ],
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $addFields: { windowStart: { $max: ['$startDate', from] } } },
+    ...LOG_SOURCES.map(({ kind, Model, match = {} }) => ({
+      $lookup: {
+        from: Model.collection.name,
+        let: {
+          userId: '$userId',
+          start: '$windowStart',
+          stepsGoal: { $ifNull: ['$goals.dailyStepsGoal', 10000] }
+        },
+        pipeline: [
+          {
+            $match: {
+              ...match,
+              $expr: {
+                $and: [
+                  { $eq: ['$userId', '$$userId'] },
+                  { $gte: ['$date', '$$start'] },
+                  { $lte: ['$date', now] }
+                ]
+              }
+            }
+          },
+          {
+            $group: {
+              _id: dayKey(timezone),
+              goalMet: kind === 'steps'
+                ? { $max: { $gte: ['$count', { $ifNull: ['$goal', '$$stepsGoal'] }] } }
+                : { $max: false }
+            }
+          }
+        ],
+        as: `${kind}Days`
+      }
+    })),
+    {
+      $addFields: {
+        expectedDays: { $max: [1, { $ceil: { $divide: [{ $subtract: [now, '$windowStart'] }, DAY_MS] } }] },
+        loggedDays: {
+          $size: { $setUnion: LOG_KINDS.map(kind => `$${kind}Days._id`) }
+        }
+      }
+    },
+    {
+      $addFields: {
+        expectedWeeks: { $ceil: { $divide: ['$expectedDays', 7] } },
+        weighInWeeks: {
+          $size: {
+            $setUnion: [{
+              $map: {
+                input: '$weightDays._id',
+                as: 'day',
+                in: {
+                  $floor: {
+                    $divide: [
+                      { $subtract: [{ $dateFromString: { dateString: '$$day', timezone } }, '$windowStart'] },
+                      WEEK_MS
+                    ]
+                  }
+                }
+              }
+            }]
+          }
+        }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        planId: '$_id',
+        user: { id: '$user._id', name: '$user.name', email: '$user.email' },
+        windowStart: 1,
+        expectedDays: 1,
+        loggedDays: 1,
+        compliance: percentOf('$loggedDays', '$expectedDays'),
+        weight: {
+          weeks: '$weighInWeeks',
+          expected: '$expectedWeeks',
+          compliance: percentOf('$weighInWeeks', '$expectedWeeks')
+        },
+        steps: {
+          days: { $size: '$stepsDays' },
+          goalMetDays: {
+            $size: { $filter: { input: '$stepsDays', as: 'day', cond: '$$day.goalMet' } }
+          },
+          expected: '$expectedDays',
+          compliance: percentOf({ $size: '$stepsDays' }, '$expectedDays')
+        },
+        meals: {
+          days: { $size: '$mealsDays' },
+          expected: '$expectedDays',
+          compliance: percentOf({ $size: '$mealsDays' }, '$expectedDays')
+        },
+        // Expected workouts are filled in per row afterwards
+        workouts: {
+          days: { $size: '$workoutsDays' }
+        }
+      }
+    },
+    { $sort: { compliance: 1, 'user.name': 1 } },
+    {
+      $facet: {
+        rows: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const { rows, pagination } = paginate(result, page, limit);
+  await addExpectedWorkouts(rows);
+  return { timezone, from, to: now, users: rows, pagination };
+};
+
+// Active users who have not logged anything for at least `days` days,
+// including those who never logged. Quietest first.
+export const getQuietUsers = async ({ days = 7, userIds, now = new Date(), page = 1, limit = 20 } = {}) => {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+  const result = await User.aggregate([
+    {
+      $match: {
+        role: 'user',
+        isActive: true,
+        deletedAt: null,
+        ...(userIds ? { _id: { $in: userIds } } : {})
+      }
+    },
+    ...lastLoggedAtStages(),
+    { $match: { $or: [{ lastLoggedAt: null }, { lastLoggedAt: { $lt: cutoff } }] } },
+    {
+      $lookup: {
+        from: Plan.collection.name,
+        let: { userId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$userId', '$$userId'] } } },
+          { $sort: { createdAt: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 0, status: 1 } }
+        ],
+        as: 'plan'
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        id: '$_id',
+        name: 1,
+        email: 1,
+        createdAt: 1,
+        lastLoggedAt: 1,
+        daysQuiet: {
+          $floor: { $divide: [{ $subtract: [now, { $ifNull: ['$lastLoggedAt', '$createdAt'] }] }, DAY_MS] }
+        },
+        planStatus: { $ifNull: [{ $arrayElemAt: ['$plan.status', 0] }, null] }
+      }
+    },
+    { $sort: { lastLoggedAt: 1, createdAt: 1 } },
+    {
+      $facet: {
+        rows: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  const { rows, pagination } = paginate(result, page, limit);
+  return { days, cutoff, users: rows, pagination };
+};
+
+// Weekly retention for users grouped by signup week. Week N of a cohort is the
+// share of its users who logged anything 7N to 7N+6 days after signing up.
+export const getCohortRetention = async ({ weeks = 12, timezone = 'UTC', now = new Date() } = {}) => {
+  const from = startOfDay(now, timezone, -(weeks * 7 - 1));
+
+  const cohorts = await User.aggregate([
+    { $match: { role: 'user', createdAt: { $gte: from } } },
+    {
+      $group: {
+        _id: weekKey(timezone, '$createdAt'),
+        size: { $sum: 1 },
+        firstSignup: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  const activity = await aggregateLogEntries({ date: { $gte: from, $lte: now } }, [
+    // One row per user per day keeps the user lookup small
+    { $group: { _id: { userId: '$userId', day: dayKey(timezone) }, date: { $min: '$date' } } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        let: { userId: '$_id.userId' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$_id', '$$userId'] }, role: 'user', createdAt: { $gte: from } } },
+          { $project: { createdAt: 1 } }
+        ],
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    {
+      $project: {
+        userId: '$_id.userId',
+        cohort: weekKey(timezone, '$user.createdAt'),
+        week: { $floor: { $divide: [{ $subtract: ['$date', '$user.createdAt'] }, WEEK_MS] } }
+      }
+    },
+    { $match: { week: { $gte: 0 } } },
+    { $group: { _id: { cohort: '$cohort', week: '$week' }, users: { $addToSet: '$userId' } } },
+    { $project: { _id: 0, cohort: '$_id.cohort', week: '$_id.week', activeUsers: { $size: '$users' } } }
+  ]);
+
+  const activeByCohortWeek = new Map(
+    activity.map(({ cohort, week, activeUsers }) => [`${cohort}:${week}`, activeUsers])
+  );
+
+  return {
+    timezone,
+    from,
+    cohorts: cohorts.map(({ _id: cohort, size, firstSignup }) => {
+      const elapsedWeeks = Math.floor((now - firstSignup) / WEEK_MS) + 1;
+      const retention = [];
+      for (let week = 0; week < elapsedWeeks; week++) {
+        const activeUsers = activeByCohortWeek.get(`${cohort}:${week}`) || 0;
+        retention.push({ week, activeUsers, rate: Math.round((activeUsers / size) * 100) });
+      }
+      return { cohort, size, retention };
+    })
+  };
+};
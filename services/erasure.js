@@ -0,0 +1,197 @@
+import User from '../models/User.js';
+import Plan from '../models/Plan.js';
+import PlanRevision from '../models/PlanRevision.js';
+import PlanEvent from '../models/PlanEvent.js';
+import Weight from '../models/Weight.js';
+import Workout from '../models/Workout.js';
+import Steps from '../models/Steps.js';
+import Meal from '../models/Meal.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+import CoachAssignment from '../models/CoachAssignment.js';
+import ErasureRequest from '../models/ErasureRequest.js';
+import Impersonation from '../models/Impersonation.js';
+import AnnouncementRead from '../models/AnnouncementRead.js';
+import Group from '../models/Group.js';
+import PlanTemplate from '../models/PlanTemplate.js';
+import { recordAuditEvent } from './audit.js';
+import { generateRandomToken } from '../utils/tokens.js';
+
+// Collections holding a user's fitness records
+const RECORD_MODELS = {
+  plans: Plan,
+  planRevisions: PlanRevision,
+  planEvents: PlanEvent,
+  weights: Weight,
+  workouts: Workout,
+  steps: Steps,
+  meals: Meal
+};
+
+// Free-text fields that may contain personal details
+const NOTE_FIELDS = {
+  planRevisions: { note: 1 },
+  weights: { notes: 1 },
+  workouts: { notes: 1, 'exercises.$[].notes': 1 },
+  meals: { notes: 1 }
+};
+
+// Days before a scheduled erasure runs
+export const getGraceDays = () => {
+  const days = parseInt(process.env.ERASURE_GRACE_DAYS);
+  return isNaN(days) ? 14 : days;
+};
+
+// Remove everything that lets someone act as the user
+const removeAccessData = async (userId) => ({
+  sessions: (await Session.deleteMany({ userId })).deletedCount,
+  apiKeys: (await ApiKey.deleteMany({ userId })).deletedCount,
+  coachAssignments: (await CoachAssignment.deleteMany({
+    $or: [{ coachId: userId }, { clientId: userId }]
+  })).deletedCount,
+  impersonations: (await Impersonation.updateMany(
+    { userId, endedAt: null },
+    { endedAt: new Date(), endedReason: 'user_erased' }
+  )).modifiedCount
+});
+
+// Erase a user now, returning a summary of what was removed.
+//  - hard: delete the account and every record that belongs to it
+//  - anonymize: strip identity and notes but keep records for aggregate stats
+export const eraseUser = async (userId, { mode = 'hard' } = {}) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const summary = {
+    mode,
+    userId: user._id,
+    removed: await removeAccessData(user._id)
+  };
+
+  if (mode === 'hard') {
+    for (const [name, Model] of Object.entries(RECORD_MODELS)) {
+      summary.removed[name] = (await Model.deleteMany({ userId: user._id })).deletedCount;
+    }
+    summary.removed.announcementReads = (await AnnouncementRead.deleteMany({ userId: user._id })).deletedCount;
+    summary.removed.groupMemberships = (await Group.updateMany(
+      { 'members.userId': user._id },
+      { $pull: { members: { userId: user._id } } }
+    )).modifiedCount;
+    // Shared templates stay in the library without their author
+    summary.removed.planTemplates = (await PlanTemplate.deleteMany({
+      createdBy: user._id,
+      visibility: 'private'
+    })).deletedCount;
+    await PlanTemplate.updateMany({ createdBy: user._id }, { $unset: { createdBy: 1 } });
+    // Groups cannot exist without an owner, so the user's own groups go too
+    summary.removed.ownedGroups = (await Group.deleteMany({ ownerId: user._id })).deletedCount;
+    await User.deleteOne({ _id: user._id });
+    summary.removed.user = 1;
+  } else {
+    summary.retained = {};
+    for (const [name, Model] of Object.entries(RECORD_MODELS)) {
+      if (NOTE_FIELDS[name]) {
+        await Model.updateMany({ userId: user._id }, { $unset: NOTE_FIELDS[name] });
+      }
+      summary.retained[name] = await Model.countDocuments({ userId: user._id });
+    }
+
+    user.email = `erased-${user._id}@erased.invalid`;
+    user.name = 'Erased User';
+    user.password = generateRandomToken(32);
+    user.isActive = false;
+    user.isEmailVerified = false;
+    user.oidc = undefined;
+    user.twoFactor = { enabled: false };
+    // Health profile and preferences go back to their defaults
+    user.profile = {};
+    user.pendingEmail = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+    user.deletedBy = undefined;
+    user.erasedAt = new Date();
+    await user.save();
+    summary.anonymized = { user: 1 };
+  }
+
+  summary.completedAt = new Date();
+  return summary;
+};
+
+// Request erasure. With no grace period the erasure runs immediately.
+export const requestErasure = async ({ user, mode = 'hard', source, requestedBy, graceDays = getGraceDays() }) => {
+  const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+
+  const request = await ErasureRequest.create({
+    userId: user._id,
+    mode,
+    source,
+    requestedBy: requestedBy?._id,
+    scheduledFor,
+    status: graceDays > 0 ? 'pending' : 'processing'
+  });
+
+  if (graceDays > 0) {
+    return request;
+  }
+
+  return runErasure(request);
+};
+
+// Run a claimed request and store its outcome
+const runErasure = async (request) => {
+  try {
+    request.summary = await eraseUser(request.userId, { mode: request.mode });
+    request.status = 'completed';
+    request.completedAt = request.summary.completedAt;
+  } catch (error) {
+    request.status = 'failed';
+    request.error = error.message;
+  }
+
+  await request.save();
+
+  await recordAuditEvent(null, 'user.erasure.complete', {
+    actor: null,
+    target: { _id: request.userId },
+    metadata: { requestId: request._id, mode: request.mode, status: request.status, summary: request.summary }
+  });
+
+  return request;
+};
+
+// Cancel a pending request during its grace period
+export const cancelErasure = async (requestId, cancelledBy) => {
+  return ErasureRequest.findOneAndUpdate(
+    { _id: requestId, status: 'pending' },
+    { status: 'cancelled', cancelledAt: new Date(), cancelledBy: cancelledBy?._id },
+    { new: true }
+  );
+};
+
+// Run every request whose grace period has passed
+export const processDueErasures = async (now = new Date()) => {
+  const processed = [];
+
+  // Claim requests one at a time so parallel runs never double-process
+  let request;
+  while ((request = await ErasureRequest.findOneAndUpdate(
+    { status: 'pending', scheduledFor: { $lte: now } },
+    { status: 'processing' },
+    { new: true, sort: { scheduledFor: 1 } }
+  ))) {
+    processed.push(await runErasure(request));
+  }
+
+  return processed;
+};
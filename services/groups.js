@@ -0,0 +1,129 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Weight from '../models/Weight.js';
+import Steps from '../models/Steps.js';
+import Workout from '../models/Workout.js';
+import { stepsTotalsStage, workoutTotalsStage, weightChangeStages } from './analytics.js';
+import { convertWeight, roundTo } from '../utils/units.js';
+
+const GROUP_OWNER_ROLES = ['admin', 'coach'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Make sure a group owner exists and may own groups
+export const resolveGroupOwner = async (ownerId) => {
+  if (!mongoose.isValidObjectId(ownerId)) {
+    throw badRequest('Invalid owner id');
+  }
+
+  const owner = await User.findOne({ _id: ownerId, deletedAt: null });
+
+  if (!owner || !GROUP_OWNER_ROLES.includes(owner.role)) {
+    throw badRequest('Group owner must be an admin or coach');
+  }
+
+  return owner;
+};
+
+// Keep the ids that belong to existing, non-deleted accounts
+export const resolveMemberIds = async (userIds) => {
+  if (!Array.isArray(userIds) || userIds.length === 0) {
+    throw badRequest('Please provide userIds');
+  }
+
+  const invalid = userIds.filter(id => !mongoose.isValidObjectId(id));
+  if (invalid.length > 0) {
+    throw badRequest(`Invalid user ids: ${invalid.join(', ')}`);
+  }
+
+  const users = await User.find({ _id: { $in: userIds }, deletedAt: null }).select('_id');
+  const found = new Set(users.map(user => user._id.toString()));
+  const missing = userIds.filter(id => !found.has(id.toString()));
+
+  if (missing.length > 0) {
+    throw badRequest(`Users not found: ${missing.join(', ')}`);
+  }
+
+  return users.map(user => user._id);
+};
+
+// Per-member weight change, step totals and workout counts for a group,
+// limited to the group's challenge window when it has one. `visibleTo`
+// narrows the members to the given user ids.
+export const getGroupRollup = async (group, { weightUnit = 'kg', visibleTo = null } = {}) => {
+  const allowed = visibleTo && new Set(visibleTo.map(id => id.toString()));
+  const memberIds = group.members
+    .map(member => member.userId)
+    .filter(userId => !allowed || allowed.has(userId.toString()));
+
+  const match = { userId: { $in: memberIds } };
+  if (group.startDate || group.endDate) {
+    match.date = {};
+    if (group.startDate) match.date.$gte = group.startDate;
+    if (group.endDate) match.date.$lt = group.endDate;
+  }
+
+  const [users, weights, steps, workouts] = await Promise.all([
+    User.find({ _id: { $in: memberIds }, deletedAt: null }).select('name email'),
+    Weight.aggregate([{ $match: match }, ...weightChangeStages('$userId')]),
+    Steps.aggregate([{ $match: match }, stepsTotalsStage('$userId')]),
+    Workout.aggregate([{ $match: match }, workoutTotalsStage('$userId')])
+  ]);
+
+  const byUser = (rows) => new Map(rows.map(row => [row._id.toString(), row]));
+  const weightByUser = byUser(weights);
+  const stepsByUser = byUser(steps);
+  const workoutsByUser = byUser(workouts);
+  const toUnit = (kg) => roundTo(convertWeight(kg, 'kg', weightUnit));
+
+  const members = users.map(user => {
+    const id = user._id.toString();
+    const weight = weightByUser.get(id);
+    const stepTotals = stepsByUser.get(id);
+    const workoutTotals = workoutsByUser.get(id);
+
+    return {
+      user: { id: user._id, name: user.name, email: user.email },
+      weight: weight ? {
+        start: toUnit(weight.startKg),
+        current: toUnit(weight.currentKg),
+        change: toUnit(weight.currentKg - weight.startKg),
+        entries: weight.entries
+      } : null,
+      steps: {
+        total: stepTotals?.totalSteps || 0,
+        avg: Math.round(stepTotals?.avgSteps || 0),
+        daysTracked: stepTotals?.totalDays || 0
+      },
+      workouts: {
+        count: workoutTotals?.totalWorkouts || 0,
+        duration: workoutTotals?.totalDuration || 0,
+        calories: workoutTotals?.totalCalories || 0
+      }
+    };
+  });
+
+  const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+  const weightChanges = members.filter(member => member.weight).map(member => member.weight.change);
+  const totalSteps = members.reduce((sum, member) => sum + member.steps.total, 0);
+  const totalWorkouts = members.reduce((sum, member) => sum + member.workouts.count, 0);
+
+  return {
+    window: { startDate: group.startDate, endDate: group.endDate },
+    unit: weightUnit,
+    members,
+    totals: {
+      members: members.length,
+      membersWithWeight: weightChanges.length,
+      avgWeightChange: weightChanges.length > 0 ? roundTo(average(weightChanges)) : null,
+      totalSteps,
+      avgStepsPerMember: Math.round(average(members.map(member => member.steps.total))),
+      totalWorkouts,
+      avgWorkoutsPerMember: roundTo(average(members.map(member => member.workouts.count)))
+    }
+  };
+};
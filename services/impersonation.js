@@ -0,0 +1,70 @@
+import Impersonation from '../models/Impersonation.js';
+import { generateImpersonationToken } from '../middleware/auth.js';
+import { recordAuditEvent } from './audit.js';
+
+// Minutes an impersonation token stays valid
+const getImpersonationMinutes = () => {
+  const minutes = parseInt(process.env.IMPERSONATION_EXPIRE_MINUTES);
+  return isNaN(minutes) ? 15 : minutes;
+};
+
+// Start impersonating a user, returning the record and its token
+export const startImpersonation = async (req, user, { reason, allowWrites = false } = {}) => {
+  const admin = req.user;
+
+  if (admin._id.equals(user._id)) {
+    const error = new Error('You cannot impersonate yourself');
+    error.status = 400;
+    throw error;
+  }
+
+  if (user.role === 'admin') {
+    const error = new Error('Admins cannot be impersonated');
+    error.status = 403;
+    throw error;
+  }
+
+  if (!user.isActive || user.deletedAt) {
+    const error = new Error('Cannot impersonate a deactivated or deleted user');
+    error.status = 400;
+    throw error;
+  }
+
+  const impersonation = await Impersonation.create({
+    adminId: admin._id,
+    userId: user._id,
+    reason,
+    allowWrites: Boolean(allowWrites),
+    expiresAt: new Date(Date.now() + getImpersonationMinutes() * 60 * 1000)
+  });
+
+  await recordAuditEvent(req, 'admin.impersonation.start', {
+    target: user,
+    metadata: { impersonationId: impersonation._id, reason, allowWrites: impersonation.allowWrites }
+  });
+
+  return { impersonation, token: generateImpersonationToken(impersonation) };
+};
+
+// End an impersonation so its token stops working
+export const endImpersonation = async (req, impersonation, { actor, reason = 'ended' } = {}) => {
+  if (impersonation.endedAt) {
+    return impersonation;
+  }
+
+  impersonation.endedAt = new Date();
+  impersonation.endedReason = reason;
+  await impersonation.save();
+
+  await recordAuditEvent(req, 'admin.impersonation.end', {
+    actor,
+    target: { _id: impersonation.userId },
+    metadata: {
+      impersonationId: impersonation._id,
+      reason,
+      requestCount: impersonation.requestCount
+    }
+  });
+
+  return impersonation;
+};
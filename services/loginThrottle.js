@@ -0,0 +1,89 @@
+import RateLimit from '../models/RateLimit.js';
+
+// Tunables - read lazily because dotenv loads after module imports
+const getConfig = () => ({
+  accountMaxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxAttempts: parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20,
+  ipWindowMinutes: parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  // Account failures older than this are forgotten rather than adding up
+  accountWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60,
+  delayAfter: 3,
+  maxDelaySeconds: 60
+});
+
+// Progressive delay: 1s, 2s, 4s... once failures pass the free threshold
+export const getProgressiveDelay = (failures) => {
+  const { delayAfter, maxDelaySeconds } = getConfig();
+  if (failures < delayAfter) {
+    return 0;
+  }
+  return Math.min(2 ** (failures - delayAfter), maxDelaySeconds) * 1000;
+};
+
+// Seconds until a failure counter allows another attempt (0 = allowed)
+const getRetryAfter = (failures, lastAttemptAt) => {
+  const delay = getProgressiveDelay(failures);
+  if (!delay || !lastAttemptAt) {
+    return 0;
+  }
+  const waitMs = new Date(lastAttemptAt).getTime() + delay - Date.now();
+  return waitMs > 0 ? Math.ceil(waitMs / 1000) : 0;
+};
+
+// Aggregation equivalent of getProgressiveDelay - keep the two in sync
+const progressiveDelayExpression = (failures) => {
+  const { delayAfter, maxDelaySeconds } = getConfig();
+  return {
+    $cond: [
+      { $lt: [failures, delayAfter] },
+      0,
+      { $multiply: [{ $min: [{ $pow: [2, { $subtract: [failures, delayAfter] }] }, maxDelaySeconds] }, 1000] }
+    ]
+  };
+};
+
+// Check if a client IP may attempt a login right now. An allowed attempt is
+// counted straight away, in the same atomic step as the check; call
+// releaseIpAttempt once it turns out to be a successful login.
+export const checkIpThrottle = async (ip) => {
+  const { ipMaxAttempts, ipWindowMinutes } = getConfig();
+  const { allowed, counter } = await RateLimit.take(`login:ip:${ip}`, {
+    windowMs: ipWindowMinutes * 60 * 1000,
+    maxCount: ipMaxAttempts,
+    delayMs: progressiveDelayExpression
+  });
+
+  if (allowed) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  if (counter.count >= ipMaxAttempts) {
+    const retryAfter = Math.ceil((counter.expiresAt.getTime() - Date.now()) / 1000);
+    return { allowed: false, retryAfter };
+  }
+
+  return { allowed: false, retryAfter: Math.max(getRetryAfter(counter.count, counter.lastAttemptAt), 1) };
+};
+
+// Stop counting an IP's login attempt once its credentials were accepted
+export const releaseIpAttempt = (ip) => {
+  return RateLimit.release(`login:ip:${ip}`);
+};
+
+// Check if an account may attempt a login right now
+export const checkAccountThrottle = (user) => {
+  if (user.isLocked()) {
+    const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+    return { allowed: false, locked: true, retryAfter };
+  }
+
+  const retryAfter = getRetryAfter(user.failedLoginAttempts, user.lastFailedLoginAt);
+  return { allowed: retryAfter === 0, locked: false, retryAfter };
+};
+
+// Record a failed login against an account, locking it at the threshold
+export const recordAccountFailure = (user) => {
+  const { accountMaxAttempts, lockoutMinutes, accountWindowMinutes } = getConfig();
+  return user.registerFailedLogin(accountMaxAttempts, lockoutMinutes * 60 * 1000, accountWindowMinutes * 60 * 1000);
+};
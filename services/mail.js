@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Mail transports - each receives { to, subject, text, html }
+const transports = {
+  // Print the message to stdout, handy in local development
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    return { delivered: true, transport: 'console' };
+  },
+
+  // Write each message as a JSON file to an outbox directory
+  file: async (message) => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join('logs', 'outbox');
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    const filePath = path.join(outboxDir, fileName);
+    await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    return { delivered: true, transport: 'file', path: filePath };
+  }
+};
+
+// Register a custom transport, e.g. an SMTP or HTTP mail API client
+export const registerMailTransport = (name, transport) => {
+  if (typeof transport !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = transport;
+};
+
+// Escape text for use in an HTML body - emails include user-supplied names
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Send an email through the transport selected by MAIL_TRANSPORT. The console
+// fallback is for development only - in production it would write live
+// verification and reset tokens to the logs.
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  return transport({
+    from: process.env.MAIL_FROM || 'no-reply@fitness-tracker.local',
+    to,
+    subject,
+    text,
+    html: html || escapeHtml(text).replace(/\n/g, '<br>')
+  });
+};
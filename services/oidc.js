@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import OidcLoginState from '../models/OidcLoginState.js';
+import getOidcConfig from '../config/oidc.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+
+const ROLE_PRIORITY = ['user', 'coach', 'admin'];
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Discovery documents and key sets are cached per warm instance
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const oidcError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw oidcError(body.error_description || body.error || `OIDC request to ${url} failed`, 502);
+  }
+  return body;
+};
+
+// Get the configured provider settings, failing if SSO is not set up
+export const requireOidcConfig = () => {
+  const config = getOidcConfig();
+  if (!config) {
+    throw oidcError('Single sign-on is not configured', 404);
+  }
+  return config;
+};
+
+// Load the provider's discovery document
+export const getDiscovery = async (issuer) => {
+  if (!discoveryCache.has(issuer)) {
+    const discovery = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(issuer, discovery);
+  }
+  return discoveryCache.get(issuer);
+};
+
+// Find the signing key for an ID token, refreshing the key set once on a miss
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => !kid || key.kid === kid);
+
+  let key = jwksCache.has(jwksUri) ? findKey(jwksCache.get(jwksUri)) : null;
+  if (!key) {
+    const jwks = await fetchJson(jwksUri);
+    jwksCache.set(jwksUri, jwks);
+    key = findKey(jwks);
+  }
+
+  if (!key) {
+    throw oidcError('ID token signing key not found');
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+// PKCE (RFC 7636) S256 challenge for a verifier
+const createCodeChallenge = (verifier) => {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+};
+
+// Start an authorization-code + PKCE login, returning the URL to send the
+// browser to and a binding secret that only that browser may hold. The
+// callback must present the same secret, so an intercepted code cannot be
+// redeemed elsewhere and a victim cannot be logged into someone else's account.
+export const createAuthorizationUrl = async () => {
+  const config = requireOidcConfig();
+  const discovery = await getDiscovery(config.issuer);
+
+  const state = generateRandomToken(24);
+  const nonce = generateRandomToken(24);
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+  const binding = generateRandomToken(32);
+  const expiresAt = new Date(Date.now() + LOGIN_STATE_TTL_MS);
+
+  await OidcLoginState.create({
+    state,
+    nonce,
+    codeVerifier,
+    bindingHash: hashToken(binding),
+    expiresAt
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: createCodeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return { authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`, state, binding, expiresAt };
+};
+
+// Exchange the authorization code and return the verified ID token claims
+export const completeAuthorization = async ({ code, state, binding }) => {
+  const config = requireOidcConfig();
+
+  if (!binding) {
+    throw oidcError('SSO login must be completed in the browser that started it', 400);
+  }
+
+  // Each state can be used once, and only by the browser that started it
+  const loginState = await OidcLoginState.findOneAndDelete({
+    state,
+    bindingHash: hashToken(binding),
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!loginState) {
+    throw oidcError('SSO login has expired, was already used or was started in another browser. Please try again.', 400);
+  }
+
+  const discovery = await getDiscovery(config.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: loginState.codeVerifier
+  });
+  if (config.clientSecret) {
+    body.set('client_secret', config.clientSecret);
+  }
+
+  const tokens = await fetchJson(discovery.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body
+  });
+
+  if (!tokens.id_token) {
+    throw oidcError('Identity provider did not return an ID token', 502);
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  const signingKey = await getSigningKey(discovery.jwks_uri, header?.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, signingKey, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      issuer: discovery.issuer || config.issuer,
+      audience: config.clientId
+    });
+  } catch (error) {
+    throw oidcError(`ID token is invalid: ${error.message}`);
+  }
+
+  if (claims.nonce !== loginState.nonce) {
+    throw oidcError('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Map IdP claims to a local role - the most privileged match wins
+export const mapRole = (claims, config = requireOidcConfig()) => {
+  const claimValue = claims[config.roleClaim];
+  const values = Array.isArray(claimValue) ? claimValue : [claimValue].filter(Boolean);
+
+  return values
+    .map(value => config.roleMapping[value])
+    .filter(role => ROLE_PRIORITY.includes(role))
+    .reduce(
+      (best, role) => (ROLE_PRIORITY.indexOf(role) > ROLE_PRIORITY.indexOf(best) ? role : best),
+      config.defaultRole
+    );
+};
+
+// Find, link or provision the local user for verified ID token claims
+export const resolveUser = async (claims) => {
+  const config = requireOidcConfig();
+  const email = claims.email?.toLowerCase();
+
+  // 1. Already linked by subject
+  let user = await User.findOne({ 'oidc.issuer': config.issuer, 'oidc.subject': claims.sub });
+  let linked = false;
+  let provisioned = false;
+
+  // 2. Link an existing account, but only on an email the IdP has verified
+  if (!user && email && claims.email_verified === true) {
+    user = await User.findOne({ email });
+    if (user) {
+      if (user.oidc?.subject) {
+        throw oidcError('This account is already linked to another SSO identity', 409);
+      }
+      // Nobody proved they own an unverified account - whoever registered it
+      // could have been anyone, so their password must not survive the link
+      if (!user.isEmailVerified) {
+        user.password = generateRandomToken(32);
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+      }
+      user.oidc = { issuer: config.issuer, subject: claims.sub };
+      user.isEmailVerified = true;
+      linked = true;
+    }
+  }
+
+  // 3. Just-in-time provisioning
+  if (!user) {
+    if (!config.jitProvisioning) {
+      throw oidcError('No account exists for this identity. Please contact admin.', 403);
+    }
+    if (!email || claims.email_verified !== true) {
+      throw oidcError('Identity provider did not supply a verified email', 403);
+    }
+
+    user = new User({
+      email,
+      // Random password - SSO users sign in through the IdP
+      password: generateRandomToken(32),
+      name: (claims.name || claims.preferred_username || email.split('@')[0]).slice(0, 50),
+      role: mapRole(claims, config),
+      isEmailVerified: true,
+      oidc: { issuer: config.issuer, subject: claims.sub }
+    });
+    provisioned = true;
+  } else if (config.syncRoles) {
+    user.role = mapRole(claims, config);
+  }
+
+  await user.save();
+
+  return { user, linked, provisioned };
+};
@@ -0,0 +1,135 @@
+import Plan from '../models/Plan.js';
+import PlanEvent from '../models/PlanEvent.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a plan may stay paused before the lifecycle job resumes it (0 disables)
+export const getMaxPauseDays = () => {
+  const days = parseInt(process.env.PLAN_MAX_PAUSE_DAYS);
+  return isNaN(days) ? 30 : days;
+};
+
+export const recordPlanEvent = (plan, type, { trigger = 'user', actor, now = new Date(), details = {} } = {}) => {
+  return PlanEvent.create({
+    planId: plan._id,
+    userId: plan.userId,
+    type,
+    trigger,
+    actorId: actor?._id || null,
+    occurredAt: now,
+    details
+  });
+};
+
+// Mark an active plan completed once its end date has passed. Only the caller
+// that actually flips the status records the event, so parallel runs are safe.
+export const completePlanIfExpired = async (plan, { now = new Date(), trigger = 'job', actor } = {}) => {
+  if (plan.status !== 'active' || !plan.isCompleted(now)) {
+    return false;
+  }
+
+  const { modifiedCount } = await Plan.updateOne(
+    { _id: plan._id, status: 'active' },
+    { status: 'completed', currentWeek: plan.numberOfWeeks }
+  );
+
+  plan.status = 'completed';
+  plan.currentWeek = plan.numberOfWeeks;
+
+  if (modifiedCount === 0) {
+    return false;
+  }
+
+  await recordPlanEvent(plan, 'completed', { trigger, actor, now, details: { endDate: plan.endDate } });
+  return true;
+};
+
+// Resume a paused plan, counting the days paused up to `resumeAt`. Returns the
+// updated plan, or null if it was no longer paused.
+export const resumePlan = async (plan, { now = new Date(), resumeAt = now, trigger = 'user', actor } = {}) => {
+  const { pausedAt } = plan;
+  const pausedDays = Math.floor((resumeAt - pausedAt) / DAY_MS);
+
+  const resumed = await Plan.findOneAndUpdate(
+    { _id: plan._id, status: 'paused' },
+    { status: 'active', pausedAt: null, $inc: { pausedDays } },
+    { new: true }
+  );
+
+  if (!resumed) {
+    return null;
+  }
+
+  await recordPlanEvent(resumed, 'resumed', {
+    trigger,
+    actor,
+    now,
+    details: { pausedAt, pausedDays }
+  });
+  return resumed;
+};
+
+// Scheduled upkeep for every plan, as of `now`:
+//  - resume plans paused longer than the limit (as if resumed when it ran out)
+//  - complete active plans whose end date has passed
+//  - refresh the stored currentWeek of the remaining active plans
+// With dryRun the changes are counted but not written.
+export const runPlanLifecycle = async ({ now = new Date(), dryRun = false, trigger = 'job' } = {}) => {
+  const summary = { now, dryRun, resumed: 0, completed: 0, weeksUpdated: 0, failed: [] };
+  const maxPauseDays = getMaxPauseDays();
+  const resumed = [];
+
+  const fail = (plan, error) => {
+    console.error(`Plan lifecycle failed for plan ${plan._id}: ${error.message}`);
+    summary.failed.push({ planId: plan._id, error: error.message });
+  };
+
+  // Resume first so a plan that ran out while paused can complete in the same run
+  if (maxPauseDays > 0) {
+    const cutoff = new Date(now.getTime() - maxPauseDays * DAY_MS);
+    const overdue = await Plan.find({ status: 'paused', pausedAt: { $lte: cutoff } });
+
+    for (const plan of overdue) {
+      try {
+        const resumeAt = new Date(plan.pausedAt.getTime() + maxPauseDays * DAY_MS);
+
+        if (dryRun) {
+          plan.pausedDays += maxPauseDays;
+          plan.status = 'active';
+          resumed.push(plan);
+        } else {
+          const updated = await resumePlan(plan, { now, resumeAt, trigger });
+          if (updated) resumed.push(updated);
+        }
+      } catch (error) {
+        fail(plan, error);
+      }
+    }
+    summary.resumed = resumed.length;
+  }
+
+  const active = await Plan.find({ status: 'active', _id: { $nin: resumed.map(plan => plan._id) } });
+
+  for (const plan of [...resumed, ...active]) {
+    try {
+      if (plan.isCompleted(now)) {
+        if (dryRun || await completePlanIfExpired(plan, { now, trigger })) {
+          summary.completed++;
+        }
+        continue;
+      }
+
+      const currentWeek = plan.calculateCurrentWeek(now);
+      if (currentWeek !== plan.currentWeek) {
+        if (!dryRun) {
+          await Plan.updateOne({ _id: plan._id, status: 'active' }, { currentWeek });
+        }
+        summary.weeksUpdated++;
+      }
+    } catch (error) {
+      fail(plan, error);
+    }
+  }
+
+  return summary;
+};
@@ -0,0 +1,117 @@
+import PlanRevision from '../models/PlanRevision.js';
+
+// Plan fields tracked by revisions
+export const REVISED_FIELDS = ['dietPlan', 'goals', 'phases', 'weeklyTargets'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Diet, goals, phases and weekly targets of a plan or revision as plain objects
+export const snapshotTargets = (doc) => {
+  const { dietPlan, goals, phases, weeklyTargets } = doc.toObject();
+  return { dietPlan, goals, phases, weeklyTargets };
+};
+
+// Record a change to a plan's diet, goals, phases or weekly targets. `before` is the snapshot taken
+// before the change was applied. The first change also stores the original
+// targets as revision 1, effective from the plan start. Returns null when
+// nothing tracked changed. Changes take effect now unless backdated with
+// `effectiveFrom` (plans that have not started yet change from their start).
+export const recordPlanRevision = async (plan, before, { author, effectiveFrom, note } = {}) => {
+  const after = snapshotTargets(plan);
+  const changedFields = REVISED_FIELDS.filter(
+    field => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+
+  if (changedFields.length === 0) {
+    return null;
+  }
+
+  let latest = await PlanRevision.findOne({ planId: plan._id }).sort({ revision: -1 });
+  const earliest = latest ? latest.effectiveFrom : plan.startDate;
+  const latestAllowed = new Date(Math.max(Date.now(), earliest));
+  effectiveFrom = effectiveFrom || latestAllowed;
+
+  if (isNaN(effectiveFrom.getTime())) {
+    throw badRequest('Invalid effective date');
+  }
+  if (effectiveFrom > latestAllowed) {
+    throw badRequest('Effective date cannot be in the future');
+  }
+  if (effectiveFrom < earliest) {
+    throw badRequest('Effective date cannot be before the plan start or the previous revision');
+  }
+
+  if (!latest) {
+    latest = await PlanRevision.create({
+      planId: plan._id,
+      userId: plan.userId,
+      revision: 1,
+      effectiveFrom: plan.startDate,
+      ...before,
+      note: 'Original plan'
+    });
+  }
+
+  return PlanRevision.create({
+    planId: plan._id,
+    userId: plan.userId,
+    revision: latest.revision + 1,
+    effectiveFrom,
+    ...after,
+    changedFields,
+    authorId: author?._id,
+    note
+  });
+};
+
+// Diet, goals, phases and weekly targets that applied on `date`. Plans that were never changed have
+// no revisions and use their current values.
+export const getTargetsOn = async (plan, date = new Date()) => {
+  const revision = await PlanRevision.findOne({ planId: plan._id, effectiveFrom: { $lte: date } })
+    .sort({ effectiveFrom: -1, revision: -1 })
+    || await PlanRevision.findOne({ planId: plan._id }).sort({ revision: 1 });
+
+  return revision
+    ? { ...snapshotTargets(revision), revision: revision.revision }
+    : { ...snapshotTargets(plan), revision: null };
+};
+
+const flatten = (value, path, out) => {
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    Object.entries(value).forEach(([key, child]) => flatten(child, path ? `${path}.${key}` : key, out));
+  } else {
+    out[path] = value;
+  }
+  return out;
+};
+
+// Meals are keyed by time, phases by name and weekly targets by week so each
+// change shows up on its own
+const mealsByTime = (meals) => meals.reduce((byTime, meal) => ({
+  ...byTime,
+  [meal.time]: [...(byTime[meal.time] || []), ...meal.items]
+}), {});
+
+const toComparable = ({ dietPlan = {}, goals = {}, phases = [], weeklyTargets = [] }) => ({
+  dietPlan: { ...dietPlan, meals: mealsByTime(dietPlan.meals || []) },
+  goals,
+  phases: Object.fromEntries(phases.map(({ name, dietPlan: phaseDiet, ...phase }) => [name, {
+    ...phase,
+    dietPlan: { ...phaseDiet, meals: phaseDiet?.meals && mealsByTime(phaseDiet.meals) }
+  }])),
+  weeklyTargets: Object.fromEntries(weeklyTargets.map(({ week, ...targets }) => [week, targets]))
+});
+
+// Field-by-field changes between two snapshots, as dot paths
+export const diffTargets = (from, to) => {
+  const before = flatten(toComparable(from), '', {});
+  const after = flatten(toComparable(to), '', {});
+
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(path => JSON.stringify(before[path]) !== JSON.stringify(after[path]))
+    .map(path => ({ path, from: before[path] ?? null, to: after[path] ?? null }));
+};
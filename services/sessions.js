@@ -0,0 +1,69 @@
+import Session from '../models/Session.js';
+import { generateToken } from '../middleware/auth.js';
+import { generateRandomToken, hashToken } from '../utils/tokens.js';
+import { getClientIp, getUserAgent } from '../utils/request.js';
+
+// Refresh tokens slide forward on every rotation
+const getRefreshExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+// Create a new session for a device and issue its first token pair
+export const startSession = async (user, req) => {
+  const refreshToken = generateRandomToken(40);
+
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: getUserAgent(req),
+    ip: getClientIp(req),
+    expiresAt: getRefreshExpiry()
+  });
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken,
+    session
+  };
+};
+
+// Exchange a refresh token for a new token pair, invalidating the old one
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRandomToken(40);
+
+  // Atomic swap so two concurrent refreshes cannot both succeed
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      previousTokenHash: tokenHash,
+      tokenHash: hashToken(nextToken),
+      lastUsedAt: new Date(),
+      ip: getClientIp(req),
+      userAgent: getUserAgent(req),
+      expiresAt: getRefreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    // A rotated-out token being replayed means it has leaked - kill the session
+    await Session.updateOne(
+      { previousTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'token_reuse' }
+    );
+    return null;
+  }
+
+  return {
+    token: generateToken(session.userId, session._id),
+    refreshToken: nextToken,
+    session
+  };
+};
+
+// Revoke every session for a user, e.g. after a password change
+export const revokeUserSessions = (userId, reason, exceptSessionId) => {
+  return Session.revokeAllForUser(userId, reason, exceptSessionId);
+};
@@ -0,0 +1,76 @@
+import User from '../models/User.js';
+import Impersonation from '../models/Impersonation.js';
+import { revokeUserSessions } from './sessions.js';
+import { eraseUser } from './erasure.js';
+import { recordAuditEvent } from './audit.js';
+
+// Days a soft-deleted account stays restorable before it is purged
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(days) ? 30 : days;
+};
+
+// When a trashed account becomes eligible for purging
+export const getPurgeDate = (user) =>
+  new Date(user.deletedAt.getTime() + getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+
+// Move a user to the trash and sign them out everywhere
+export const trashUser = async (user, deletedBy) => {
+  if (user.deletedAt) {
+    const error = new Error('User is already in the trash');
+    error.status = 400;
+    throw error;
+  }
+
+  user.deletedAt = new Date();
+  user.deletedBy = deletedBy?._id || null;
+  await user.save();
+
+  await revokeUserSessions(user._id, 'account_deleted');
+  await Impersonation.updateMany(
+    { userId: user._id, endedAt: null },
+    { endedAt: new Date(), endedReason: 'user_deleted' }
+  );
+
+  return user;
+};
+
+// Take a user back out of the trash
+export const restoreUser = async (user) => {
+  if (!user.deletedAt) {
+    const error = new Error('User is not in the trash');
+    error.status = 400;
+    throw error;
+  }
+
+  user.deletedAt = null;
+  user.deletedBy = null;
+  await user.save();
+
+  return user;
+};
+
+// Permanently delete every user that has been in the trash longer than the
+// retention window. Returns a summary per purged user.
+export const purgeTrashedUsers = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+  const users = await User.find({ deletedAt: { $ne: null, $lte: cutoff } }).sort({ deletedAt: 1 });
+  const purged = [];
+
+  for (const user of users) {
+    try {
+      const summary = await eraseUser(user._id, { mode: 'hard' });
+      await recordAuditEvent(null, 'admin.user.purge', {
+        actor: null,
+        target: user,
+        metadata: { email: user.email, deletedAt: user.deletedAt, deletedBy: user.deletedBy }
+      });
+      purged.push({ userId: user._id, email: user.email, summary });
+    } catch (error) {
+      console.error(`Failed to purge user ${user._id}: ${error.message}`);
+      purged.push({ userId: user._id, email: user.email, error: error.message });
+    }
+  }
+
+  return purged;
+};
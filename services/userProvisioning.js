@@ -0,0 +1,278 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Plan from '../models/Plan.js';
+import { sendInviteEmail } from './emails.js';
+import { recordAuditEvent } from './audit.js';
+import { generateRandomToken } from '../utils/tokens.js';
+import { getUserTimezone, parseDateInput, startOfDay } from '../utils/dateWindow.js';
+
+// How new accounts get their first password
+export const CREDENTIAL_MODES = ['invite', 'password'];
+
+// Bulk imports never create admins
+const PROVISIONABLE_ROLES = ['user', 'coach'];
+
+const MAX_ROWS = 500;
+
+// Accepted column names (compared lowercase, ignoring spaces and underscores)
+const COLUMNS = {
+  name: 'name',
+  email: 'email',
+  role: 'role',
+  heightcm: 'heightCm',
+  dateofbirth: 'dateOfBirth',
+  sex: 'sex',
+  activitylevel: 'activityLevel',
+  weightunit: 'weightUnit',
+  distanceunit: 'distanceUnit',
+  timezone: 'timezone'
+};
+
+const PROFILE_COLUMNS = ['heightCm', 'dateOfBirth', 'sex', 'activityLevel', 'weightUnit', 'distanceUnit', 'timezone'];
+
+// Days an invite link stays valid
+const getInviteDays = () => {
+  const days = parseInt(process.env.INVITE_EXPIRE_DAYS);
+  return isNaN(days) ? 7 : days;
+};
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Map a CSV record or JSON object onto user fields, dropping empty values
+const normalizeRow = (row) => {
+  const fields = {};
+  if (!row || typeof row !== 'object') {
+    return fields;
+  }
+
+  const flat = { ...row, ...(row.profile && typeof row.profile === 'object' ? row.profile : {}) };
+
+  for (const [key, value] of Object.entries(flat)) {
+    const field = COLUMNS[key.toLowerCase().replace(/[\s_]/g, '')];
+    if (field && value !== undefined && value !== null && value !== '') {
+      fields[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  return fields;
+};
+
+// Build an unsaved user for a row and collect every validation problem
+const prepareRow = (row, seenEmails) => {
+  const fields = normalizeRow(row);
+  const errors = [];
+
+  // JSON uploads can carry numbers or objects where text is expected
+  ['name', 'email', 'role'].forEach(field => {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      errors.push(`${field[0].toUpperCase()}${field.slice(1)} must be text`);
+      delete fields[field];
+    }
+  });
+
+  const role = (fields.role || 'user').toLowerCase();
+  if (!PROVISIONABLE_ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${PROVISIONABLE_ROLES.join(', ')}`);
+  }
+
+  const email = fields.email?.toLowerCase();
+  if (email && seenEmails.has(email)) {
+    errors.push('Email appears more than once in this upload');
+  }
+  if (email) {
+    seenEmails.add(email);
+  }
+
+  const profile = {};
+  PROFILE_COLUMNS.forEach(field => {
+    if (fields[field] !== undefined) {
+      profile[field] = fields[field];
+    }
+  });
+
+  // Placeholder password so validation passes - replaced before saving
+  const user = new User({
+    name: fields.name,
+    email,
+    role,
+    profile,
+    password: generateRandomToken(16)
+  });
+
+  const validation = user.validateSync();
+  if (validation) {
+    errors.push(...Object.values(validation.errors).map(err => err.message));
+  }
+
+  return { user, errors };
+};
+
+// Check starter plan options once, before any rows are processed
+const validateStarterPlan = (starterPlan) => {
+  if (!starterPlan) {
+    return;
+  }
+
+  if (starterPlan.startDate && isNaN(new Date(starterPlan.startDate).getTime())) {
+    throw badRequest('Starter plan: start date is invalid');
+  }
+
+  const plan = new Plan({
+    ...starterPlan,
+    userId: new mongoose.Types.ObjectId(),
+    startDate: new Date()
+  });
+  const validation = plan.validateSync();
+
+  if (validation) {
+    const messages = Object.values(validation.errors).map(err => err.message);
+    throw badRequest(`Starter plan: ${messages.join(', ')}`);
+  }
+};
+
+// Starter plans begin at midnight in each user's own timezone
+const createStarterPlan = (user, { startDate, numberOfWeeks, dietPlan, goals }) => {
+  const timezone = getUserTimezone(user);
+
+  return Plan.create({
+    userId: user._id,
+    startDate: startDate ? parseDateInput(startDate, timezone) : startOfDay(new Date(), timezone),
+    numberOfWeeks,
+    dietPlan: dietPlan || {},
+    goals: goals || {}
+  });
+};
+
+// Create users from parsed rows. Every row is validated first and problems are
+// reported per row (firstRow is the number of the first data row, e.g. 2 for a
+// CSV with a header). With dryRun nothing is written.
+export const provisionUsers = async (req, rows, {
+  dryRun = false,
+  credentials = 'invite',
+  starterPlan = null,
+  firstRow = 1
+} = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw badRequest('No users to create');
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw badRequest(`A maximum of ${MAX_ROWS} users can be created at once`);
+  }
+
+  if (!CREDENTIAL_MODES.includes(credentials)) {
+    throw badRequest(`Credentials must be one of: ${CREDENTIAL_MODES.join(', ')}`);
+  }
+
+  validateStarterPlan(starterPlan);
+
+  const seenEmails = new Set();
+  const prepared = rows.map((row, i) => ({
+    row: firstRow + i,
+    ...prepareRow(row, seenEmails)
+  }));
+
+  // Look up existing accounts in one query
+  const existing = await User.find({ email: { $in: [...seenEmails] } }).select('email');
+  const existingEmails = new Set(existing.map(user => user.email));
+  prepared.forEach(entry => {
+    if (existingEmails.has(entry.user.email)) {
+      entry.errors.push('User with this email already exists');
+    }
+  });
+
+  const errors = [];
+  const valid = [];
+  prepared.forEach(entry => {
+    if (entry.errors.length > 0) {
+      errors.push({ row: entry.row, email: entry.user.email, errors: entry.errors });
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  const summary = (entry) => ({
+    row: entry.row,
+    name: entry.user.name,
+    email: entry.user.email,
+    role: entry.user.role
+  });
+
+  if (dryRun) {
+    return {
+      dryRun: true,
+      total: rows.length,
+      valid: valid.map(summary),
+      errors
+    };
+  }
+
+  const inviteDays = getInviteDays();
+  const created = [];
+
+  for (const entry of valid) {
+    const { user } = entry;
+
+    try {
+      let inviteToken;
+      let tempPassword;
+
+      if (credentials === 'invite') {
+        inviteToken = user.createPasswordResetToken(inviteDays * 24 * 60 * 60 * 1000);
+      } else {
+        tempPassword = generateRandomToken(8);
+        user.password = tempPassword;
+      }
+
+      await user.save();
+
+      const result = { ...summary(entry), id: user._id };
+
+      if (inviteToken) {
+        try {
+          await sendInviteEmail(user, inviteToken, inviteDays);
+          result.inviteSent = true;
+        } catch (error) {
+          console.error(`Failed to send invite to ${user.email}: ${error.message}`);
+          result.inviteSent = false;
+        }
+      } else {
+        result.temporaryPassword = tempPassword;
+      }
+
+      // The account exists at this point, so a plan failure is reported on the result
+      if (starterPlan) {
+        try {
+          result.planId = (await createStarterPlan(user, starterPlan))._id;
+        } catch (error) {
+          result.planError = error.message;
+        }
+      }
+
+      created.push(result);
+    } catch (error) {
+      errors.push({ row: entry.row, email: user.email, errors: [error.message] });
+    }
+  }
+
+  await recordAuditEvent(req, 'admin.user.bulk_create', {
+    metadata: {
+      total: rows.length,
+      created: created.length,
+      failed: errors.length,
+      credentials,
+      starterPlan: Boolean(starterPlan)
+    }
+  });
+
+  return {
+    dryRun: false,
+    total: rows.length,
+    created,
+    errors
+  };
+};
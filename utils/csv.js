@@ -0,0 +1,12 @@
+import multer from 'multer';
+import { parse } from 'csv-parse/sync';
+
+// Uploads are small CSV files, so keep them in memory
+export const csvUpload = multer({ storage: multer.memoryStorage() });
+
+// Parse an uploaded CSV file into one object per row, keyed by header
+export const parseCsvFile = (file) => parse(file.buffer.toString('utf-8'), {
+  columns: true,
+  skip_empty_lines: true,
+  trim: true
+});
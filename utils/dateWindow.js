@@ -0,0 +1,123 @@
+// Day, week and month boundaries in a user's timezone.
+// Windows are { start, end } UTC instants, with `end` exclusive.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+// Check a timezone name against the runtime's IANA database
+export const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Timezone stored on the user's profile, defaulting to UTC
+export const getUserTimezone = (user) => {
+  return user?.profile?.timezone || 'UTC';
+};
+
+// Wall-clock parts of an instant in a timezone (month is 1-12, weekday 0 = Sunday)
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Offset of a timezone from UTC at a given instant, in ms
+const getOffsetMs = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+// UTC instant for a wall-clock time in a timezone. Day overflow (e.g. day 32) rolls over.
+export const zonedTimeToUtc = (year, month, day, timeZone, hour = 0, minute = 0) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(guess), timeZone);
+  const result = guess - offset;
+
+  // Re-check in case the offset changes between the guess and the result (DST)
+  const correctedOffset = getOffsetMs(new Date(result), timeZone);
+  return new Date(correctedOffset === offset ? result : guess - correctedOffset);
+};
+
+// Calendar date key (YYYY-MM-DD) of an instant in a timezone
+export const toDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Parse a date from a request. Plain dates (YYYY-MM-DD) mean that calendar day
+// in the user's timezone; full timestamps are taken as-is.
+export const parseDateInput = (input, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(input));
+  if (match) {
+    return zonedTimeToUtc(Number(match[1]), Number(match[2]), Number(match[3]), timeZone);
+  }
+  return new Date(input);
+};
+
+// Start of the calendar day `offsetDays` away from the day containing `date`
+export const startOfDay = (date, timeZone, offsetDays = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc(year, month, day + offsetDays, timeZone);
+};
+
+// Day containing `date`
+export const getDayWindow = (date = new Date(), timeZone = 'UTC') => ({
+  start: startOfDay(date, timeZone),
+  end: startOfDay(date, timeZone, 1)
+});
+
+// Week containing `date` - weeks start on Sunday by default
+export const getWeekWindow = (date = new Date(), timeZone = 'UTC', weekStartsOn = 0) => {
+  const { weekday } = getZonedParts(date, timeZone);
+  const daysSinceStart = (weekday - weekStartsOn + 7) % 7;
+  return {
+    start: startOfDay(date, timeZone, -daysSinceStart),
+    end: startOfDay(date, timeZone, 7 - daysSinceStart)
+  };
+};
+
+// Month containing `date`
+export const getMonthWindow = (date = new Date(), timeZone = 'UTC') => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return {
+    start: zonedTimeToUtc(year, month, 1, timeZone),
+    end: zonedTimeToUtc(year, month + 1, 1, timeZone)
+  };
+};
+
+// Window as a Mongo range filter
+export const toRangeQuery = (window) => ({ $gte: window.start, $lt: window.end });
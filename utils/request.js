@@ -0,0 +1,49 @@
+// Value for Express's "trust proxy" setting. TRUST_PROXY is a hop count, an
+// address/subnet list or true/false; by default the single proxy in front of
+// a production deployment (Vercel's edge) is trusted and nothing otherwise.
+export const getTrustProxy = () => {
+  const value = process.env.TRUST_PROXY;
+
+  if (value === undefined || value === '') {
+    return process.env.NODE_ENV === 'production' ? 1 : false;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
+// Get the client IP. Express resolves req.ip from X-Forwarded-For only
+// through trusted proxies, so clients cannot forge it with their own header.
+export const getClientIp = (req) => {
+  return req.ip || req.socket?.remoteAddress || null;
+};
+
+// Read a positive integer query parameter, clamped to [1, max]
+export const intParam = (value, fallback, max) => {
+  const parsed = parseInt(value);
+  return isNaN(parsed) ? fallback : Math.min(Math.max(parsed, 1), max);
+};
+
+// Get the user agent, truncated to fit the stored field
+export const getUserAgent = (req) => {
+  return (req.headers['user-agent'] || '').slice(0, 500);
+};
+
+// Read a cookie sent with the request, or null when it is absent
+export const getCookie = (req, name) => {
+  const pair = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  if (!pair) {
+    return null;
+  }
+
+  try {
+    return decodeURIComponent(pair.slice(name.length + 1));
+  } catch {
+    return null;
+  }
+};
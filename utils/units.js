@@ -0,0 +1,66 @@
+// Unit conversion helpers. Weights are stored in the unit they were logged in,
+// step distances are always stored in km.
+export const KG_PER_LB = 0.45359237;
+export const KM_PER_MILE = 1.609344;
+
+export const WEIGHT_UNITS = ['kg', 'lbs'];
+export const DISTANCE_UNITS = ['km', 'mi'];
+
+export const roundTo = (value, decimals = 1) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+export const convertWeight = (value, from, to) => {
+  if (value === null || value === undefined || from === to) {
+    return value;
+  }
+  return from === 'lbs' ? value * KG_PER_LB : value / KG_PER_LB;
+};
+
+export const convertDistance = (value, from, to) => {
+  if (value === null || value === undefined || from === to) {
+    return value;
+  }
+  return from === 'mi' ? value * KM_PER_MILE : value / KM_PER_MILE;
+};
+
+// Aggregation expression that normalises a weight field to kg
+export const weightInKgExpression = (field = '$weight', unitField = '$unit') => ({
+  $cond: [{ $eq: [unitField, 'lbs'] }, { $multiply: [field, KG_PER_LB] }, field]
+});
+
+// Units to display for the person making the request (coaches see their own units)
+export const getDisplayUnits = (req) => {
+  const profile = (req.actor || req.user)?.profile || {};
+  return {
+    weightUnit: profile.weightUnit || 'kg',
+    distanceUnit: profile.distanceUnit || 'km'
+  };
+};
+
+// Weight entry expressed in the preferred unit
+export const formatWeightEntry = (entry, weightUnit) => {
+  if (!entry) {
+    return entry;
+  }
+  const data = typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+  return {
+    ...data,
+    weight: roundTo(convertWeight(data.weight, data.unit || 'kg', weightUnit)),
+    unit: weightUnit
+  };
+};
+
+// Steps entry with distance expressed in the preferred unit
+export const formatStepsEntry = (entry, distanceUnit) => {
+  if (!entry) {
+    return entry;
+  }
+  const data = typeof entry.toJSON === 'function' ? entry.toJSON() : entry;
+  return {
+    ...data,
+    distance: data.distance === undefined ? undefined : roundTo(convertDistance(data.distance, 'km', distanceUnit), 2),
+    distanceUnit
+  };
+};